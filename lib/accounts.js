@@ -0,0 +1,164 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @typedef {Object} AccountConfig
+ * @property {String} name Name to use for the account in output
+ * @property {String} email
+ * @property {String} password
+ * @property {Number} [parallel] Overrides `--parallel` for this account
+ * @property {Number} [pauseEvery] Overrides `--pause-every`
+ * @property {Number} [pauseTime] Overrides `--pause-time`
+ * @property {Number} [rate] Overrides `--rate`
+ * @property {Boolean} [adaptive] Overrides `--adaptive`
+ */
+
+// Account properties that map to scrape-versionista's rate limit options.
+const TIMING_OPTIONS = {
+  parallel: '--parallel',
+  pauseEvery: '--pause-every',
+  pauseTime: '--pause-time',
+  rate: '--rate'
+};
+
+/**
+ * Load a JSON file listing Versionista accounts to scrape, like:
+ *   {
+ *     "accounts": [
+ *       {"name": "versionista1", "email": "a@example.com", "password": "x"},
+ *       {"name": "versionista2", "email": "b@example.com", "password": "y",
+ *        "parallel": 2, "rate": 60}
+ *     ]
+ *   }
+ * The file may also be just the array of accounts. If an account has no name,
+ * the part of its e-mail address before the `@` is used.
+ * @param {String} filePath
+ * @returns {AccountConfig[]}
+ */
+function loadAccounts (filePath) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+  catch (error) {
+    throw new Error(`Could not read accounts file ${filePath}: ${error.message}`);
+  }
+
+  const accounts = Array.isArray(data) ? data : data.accounts;
+  if (!Array.isArray(accounts) || !accounts.length) {
+    throw new Error(`Accounts file ${filePath} does not list any accounts`);
+  }
+
+  const names = new Set();
+  return accounts.map((account, index) => {
+    const description = `Account ${index} in ${filePath}`;
+    if (!account.email || !account.password) {
+      throw new Error(`${description} must have an "email" and "password"`);
+    }
+
+    const name = account.name || account.email.match(/^(.+)@/)[1];
+    if (!/^[\w.-]+$/.test(name)) {
+      throw new Error(`${description} has a name that can't be used as a directory name: "${name}"`);
+    }
+    if (names.has(name)) {
+      throw new Error(`${description} has the same name as another account: "${name}"`);
+    }
+    names.add(name);
+
+    Object.keys(TIMING_OPTIONS).forEach(key => {
+      if (key in account && typeof account[key] !== 'number') {
+        throw new Error(`${description} has a non-numeric "${key}"`);
+      }
+    });
+
+    return Object.assign({}, account, {name});
+  });
+}
+
+/**
+ * Get command-line arguments for scrape-versionista that log in to an
+ * account and apply its rate limit settings.
+ * @param {AccountConfig} account
+ * @returns {String[]}
+ */
+function accountArguments (account) {
+  const result = [
+    '--email', account.email,
+    '--password', account.password,
+    '--account-name', account.name
+  ];
+
+  Object.entries(TIMING_OPTIONS).forEach(([key, option]) => {
+    if (account[key] != null) {
+      result.push(option, String(account[key]));
+    }
+  });
+  if (account.adaptive) {
+    result.push('--adaptive');
+  }
+
+  return result;
+}
+
+/**
+ * Get a version of a path that is specific to an account by placing it in a
+ * subdirectory named for the account, e.g. `output/versions.json` becomes
+ * `output/versionista1/versions.json`.
+ * @param {String} filePath
+ * @param {AccountConfig} account
+ * @returns {String}
+ */
+function accountPath (filePath, account) {
+  return path.join(path.dirname(filePath), account.name, path.basename(filePath));
+}
+
+/**
+ * @typedef {Object} AccountSummary
+ * @property {String} account
+ * @property {Number} exitCode
+ * @property {Number} [sites]
+ * @property {Number} [pages]
+ * @property {Number} [versions]
+ * @property {Number} [errors]
+ * @property {Number} [seconds]
+ * @property {String} [output]
+ */
+
+/**
+ * Format summaries of several accounts' runs as a table for logging.
+ * @param {AccountSummary[]} summaries
+ * @returns {String}
+ */
+function formatSummaries (summaries) {
+  const columns = ['account', 'sites', 'pages', 'versions', 'errors', 'seconds', 'exitCode'];
+  const rows = [columns].concat(summaries.map(summary => columns.map(column =>
+    summary[column] == null ? '-' : String(summary[column]))));
+
+  // Accounts run at the same time, so the total time is the longest one.
+  const values = column => summaries.map(summary => summary[column] || 0);
+  const sum = column => values(column).reduce((total, value) => total + value, 0);
+  rows.push([
+    'TOTAL',
+    String(sum('sites')),
+    String(sum('pages')),
+    String(sum('versions')),
+    String(sum('errors')),
+    String(Math.max(...values('seconds'))),
+    String(summaries.some(summary => summary.exitCode !== 0) ? 1 : 0)
+  ]);
+
+  const widths = columns.map((_, index) =>
+    Math.max(...rows.map(row => row[index].length)));
+  return rows
+    .map(row => row.map((cell, index) => cell.padEnd(widths[index])).join('  ').trim())
+    .join('\n');
+}
+
+module.exports = {
+  loadAccounts,
+  accountArguments,
+  accountPath,
+  formatSummaries
+};
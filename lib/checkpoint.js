@@ -0,0 +1,246 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Fields on sites, pages, and versions that hold dates. These are serialized
+// as ISO strings in the journal and need to be revived when it is loaded.
+const DATE_FIELDS = new Set([
+  'after',
+  'before',
+  'date',
+  'lastDate',
+  'lastChange',
+  'lastChecked',
+  'dateAdded',
+  'diffWithPreviousDate',
+  'diffWithFirstDate',
+  'diffWithPreviousSafeDate',
+  'diffWithFirstSafeDate'
+]);
+
+/**
+ * An append-only journal of completed scraping work. Each line of the journal
+ * is a JSON object with a `type` property:
+ * - `start`: Parameters of the run (date range and start time)
+ * - `sites`: The list of sites to scrape
+ * - `pages`: The list of pages to scrape for a site
+ * - `versions`: The list of versions to scrape for a page
+ * - `version`: A version whose content and diffs have been fully archived
+ * - `page`: A page whose versions have all been archived
+ *
+ * Pages are identified by their `versionistaUrl`.
+ *
+ * Entries are written synchronously so the journal is always up-to-date with
+ * files on disk, even if the process crashes.
+ */
+class Checkpoint {
+  /**
+   * Creates an instance of Checkpoint.
+   * @param {String} filePath Path to the journal file
+   * @param {Object} [options]
+   * @param {Boolean} [options.resume=false] If true, load entries from an
+   *        existing journal at `filePath` instead of starting a new one.
+   */
+  constructor (filePath, {resume = false} = {}) {
+    this.path = filePath;
+    this.run = null;
+    this.sites = null;
+    this._pages = new Map();
+    this._versionLists = new Map();
+    this._versions = new Map();
+    this._completedPages = new Set();
+
+    if (resume && fs.existsSync(filePath)) {
+      // The last entry may have been cut off if the process was killed
+      // mid-write, so drop anything after the last complete line.
+      const data = fs.readFileSync(filePath);
+      const validLength = data.lastIndexOf('\n') + 1;
+      if (validLength < data.length) {
+        fs.truncateSync(filePath, validLength);
+      }
+      this._load(data.slice(0, validLength).toString('utf8'));
+    }
+
+    fs.mkdirSync(path.dirname(filePath), {recursive: true});
+    this._file = fs.openSync(filePath, resume ? 'a' : 'w');
+  }
+
+  /**
+   * Whether any work was loaded from a previous run.
+   * @type {Boolean}
+   */
+  get isResuming () {
+    return !!this.run;
+  }
+
+  /**
+   * The number of pages that were completed in previous runs.
+   * @type {Number}
+   */
+  get completedPageCount () {
+    return this._completedPages.size;
+  }
+
+  /**
+   * Record the parameters of a run.
+   * @param {Object} run
+   * @param {Date} [run.after]
+   * @param {Date} [run.before]
+   * @param {Number} run.startTime Timestamp (in milliseconds) the run started
+   */
+  recordStart (run) {
+    this.run = run;
+    this._write({type: 'start', run});
+  }
+
+  /**
+   * @param {VersionistaSite[]} sites
+   */
+  recordSites (sites) {
+    this.sites = sites;
+    this._write({type: 'sites', sites});
+  }
+
+  /**
+   * @param {String} siteId
+   * @returns {VersionistaPage[]|undefined}
+   */
+  getPages (siteId) {
+    return this._pages.get(siteId);
+  }
+
+  /**
+   * @param {String} siteId
+   * @param {VersionistaPage[]} pages
+   */
+  recordPages (siteId, pages) {
+    this._pages.set(siteId, pages);
+    this._write({type: 'pages', siteId, pages});
+  }
+
+  /**
+   * Get the list of versions to scrape for a page.
+   * @param {VersionistaPage} page
+   * @returns {VersionistaVersion[]|undefined}
+   */
+  getVersionList (page) {
+    return this._versionLists.get(page.versionistaUrl);
+  }
+
+  /**
+   * @param {VersionistaPage} page
+   * @param {VersionistaVersion[]} versions
+   */
+  recordVersionList (page, versions) {
+    this._versionLists.set(page.versionistaUrl, versions);
+    this._write({type: 'versions', page: page.versionistaUrl, versions});
+  }
+
+  /**
+   * Get a fully archived version (with any content and diff file paths).
+   * @param {VersionistaVersion} version
+   * @returns {VersionistaVersion|undefined}
+   */
+  getVersion (version) {
+    return this._versions.get(versionKey(version));
+  }
+
+  /**
+   * @param {VersionistaVersion} version
+   */
+  recordVersion (version) {
+    this._versions.set(versionKey(version), version);
+    this._write({type: 'version', version});
+  }
+
+  /**
+   * @param {VersionistaPage} page
+   * @returns {Boolean}
+   */
+  isPageComplete (page) {
+    return this._completedPages.has(page.versionistaUrl);
+  }
+
+  /**
+   * @param {VersionistaPage} page
+   */
+  recordPage (page) {
+    this._completedPages.add(page.versionistaUrl);
+    this._write({type: 'page', page: page.versionistaUrl});
+  }
+
+  close () {
+    if (this._file != null) {
+      fs.closeSync(this._file);
+      this._file = null;
+    }
+  }
+
+  _write (entry) {
+    fs.writeSync(this._file, JSON.stringify(entry) + '\n');
+  }
+
+  _load (text) {
+    text.split('\n').forEach((line, index) => {
+      if (!line) return;
+
+      let entry;
+      try {
+        entry = reviveEntry(JSON.parse(line));
+      }
+      catch (error) {
+        throw new Error(`Could not parse checkpoint entry on line ${index + 1} of ${this.path}`);
+      }
+
+      if (entry.type === 'start') {
+        this.run = entry.run;
+      }
+      else if (entry.type === 'sites') {
+        this.sites = entry.sites;
+      }
+      else if (entry.type === 'pages') {
+        this._pages.set(entry.siteId, entry.pages);
+      }
+      else if (entry.type === 'versions') {
+        this._versionLists.set(entry.page, entry.versions);
+      }
+      else if (entry.type === 'version') {
+        this._versions.set(versionKey(entry.version), entry.version);
+      }
+      else if (entry.type === 'page') {
+        this._completedPages.add(entry.page);
+      }
+    });
+  }
+}
+
+function versionKey (version) {
+  return `${version.siteId}/${version.pageId}/${version.versionId}`;
+}
+
+// Turn the date fields of the run, site, page, and version records in a
+// journal entry back into dates. Only the records' own fields are revived, not
+// nested objects, which can have unrelated fields named like dates (e.g. the
+// `date` HTTP header).
+function reviveEntry (entry) {
+  if (entry.run) reviveDates(entry.run);
+  if (entry.version) reviveDates(entry.version);
+  ['sites', 'pages', 'versions'].forEach(key => {
+    if (Array.isArray(entry[key])) entry[key].forEach(reviveDates);
+  });
+  return entry;
+}
+
+function reviveDates (record) {
+  if (record && typeof record === 'object') {
+    Object.keys(record).forEach(key => {
+      if (DATE_FIELDS.has(key) && typeof record[key] === 'string') {
+        record[key] = new Date(record[key]);
+      }
+    });
+  }
+  return record;
+}
+
+module.exports = Checkpoint;
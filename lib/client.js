@@ -1,13 +1,18 @@
 'use strict';
 
-const request = require('request');
+const {
+  createRequestTransport,
+  createRecordingTransport,
+  createReplayTransport
+} = require('./transport');
 
 const MAX_SOCKETS = 6;
-const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_12_3) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/56.0.2924.87 Safari/537.36';
 const SLEEP_EVERY = 40;
 const SLEEP_FOR = 1000;
 const MAX_RETRIES = 3;
 const MAX_PER_MINUTE = 0;
+const TIMEOUT = 60 * 1000;
+const MAX_RETRY_DELAY = 60 * 1000;
 
 // LibUV error codes we should attempt to resolve by retrying.
 // List of all codes: https://github.com/nodejs/node/blob/8174d0c8cae857296c45b2c448348f2c781f6ace/deps/uv/include/uv.h#L66-L145
@@ -18,18 +23,374 @@ const RETRYABLE_ERRORS = [
   'EBUSY',         // resource busy or locked
   'ECONNREFUSED',  // connection refused
   'ECONNRESET',    // connection reset by peer
-  'ETIMEDOUT'      // connection timed out
+  'ETIMEDOUT',     // connection timed out
+  'ESOCKETTIMEDOUT' // no response within `timeout` (from `request`)
 ];
 
-function createClient ({userAgent = USER_AGENT, maxSockets = MAX_SOCKETS, sleepEvery = SLEEP_EVERY, sleepFor = SLEEP_FOR, maxPerMinute = MAX_PER_MINUTE} = {}) {
+// By default, auto-retry on gateway errors.
+const RETRYABLE_STATUSES = [502, 503, 504];
+
+// Defaults for the circuit breaker (see `CircuitBreaker` below).
+const CIRCUIT_BREAKER_DEFAULTS = {
+  // Pause all requests after this many failures in a row.
+  failures: 10,
+  // Milliseconds to pause for.
+  pause: 30 * 1000,
+  // Give up entirely if requests still fail after pausing this many times in
+  // a row.
+  maxTrips: 5
+};
+
+// Defaults for adaptive rate limiting (see `AdaptiveLimiter` below).
+const ADAPTIVE_DEFAULTS = {
+  // Never go below this many simultaneous requests or requests per minute.
+  minSockets: 1,
+  minPerMinute: 30,
+  // Slow down when average latency is this many times the best we've seen
+  // *and* at least `latencyIncrease` milliseconds more than it.
+  latencyFactor: 3,
+  latencyIncrease: 1000,
+  // Speed up again after this many successful, speedy requests in a row.
+  increaseAfter: 10,
+  // Milliseconds to wait after slowing down before slowing down again, so a
+  // burst of failures from requests already in flight only counts once.
+  cooldown: 5000,
+  // Cap on how long to honor a `Retry-After` header for, in milliseconds.
+  maxRetryAfter: 5 * 60 * 1000
+};
+
+// Weight of each new sample in the moving average of latency.
+const LATENCY_SMOOTHING = 0.2;
+// Number of responses to see before judging latency against the baseline.
+const LATENCY_WARMUP = 5;
+
+/**
+ * Tracks how Versionista is responding and adjusts the number of simultaneous
+ * requests and requests per minute to match. When there are 429 or 5xx
+ * responses, network errors, or latency rises well above normal, limits are
+ * halved; after a run of good responses, they are raised gradually until
+ * they're back to the configured maximums.
+ */
+class AdaptiveLimiter {
+  constructor ({maxSockets, maxPerMinute, options}) {
+    this.options = Object.assign({}, ADAPTIVE_DEFAULTS, options);
+    this.maxSockets = maxSockets;
+    this.maxPerMinute = maxPerMinute;
+    this.sockets = maxSockets;
+    this.perMinute = maxPerMinute;
+    this.pausedUntil = 0;
+
+    this._latency = null;
+    this._baselineLatency = null;
+    this._samples = 0;
+    this._successes = 0;
+    this._lastSlowdown = 0;
+    this._lastStart = 0;
+    this._recentStarts = [];
+    // If there's no configured maximum rate, this is the rate we were running
+    // at before the first slowdown, so we know when to stop limiting again.
+    this._unlimitedRate = Infinity;
+
+    this.stats = {
+      startTime: null,
+      requests: 0,
+      throttled: 0,
+      serverErrors: 0,
+      networkErrors: 0,
+      slowdowns: 0,
+      totalLatency: 0,
+      minSockets: maxSockets,
+      minPerMinute: maxPerMinute
+    };
+  }
+
+  /**
+   * Milliseconds until another request may start, or 0 if one can start now.
+   * @param {Number} now
+   * @returns {Number}
+   */
+  getDelay (now) {
+    const interval = isFinite(this.perMinute) ? 60 * 1000 / this.perMinute : 0;
+    return Math.max(0, this.pausedUntil - now, this._lastStart + interval - now);
+  }
+
+  recordStart (now) {
+    this.stats.startTime = this.stats.startTime || now;
+    this.stats.requests++;
+    this._lastStart = now;
+    this._recentStarts.push(now);
+    while (this._recentStarts[0] < now - 60 * 1000) {
+      this._recentStarts.shift();
+    }
+  }
+
+  /**
+   * Update limits based on the result of a request.
+   * @param {Object} result
+   * @param {Number} result.latency Milliseconds the request took
+   * @param {Error} [result.error]
+   * @param {HttpResponse} [result.response]
+   */
+  recordResult ({latency, error, response}) {
+    const now = Date.now();
+    const status = response && response.statusCode;
+
+    if (error) {
+      this.stats.networkErrors++;
+      return this.slowDown(now);
+    }
+
+    this.stats.totalLatency += latency;
+    if (status === 429 || status >= 500) {
+      this.stats[status === 429 ? 'throttled' : 'serverErrors']++;
+
+      const retryAfter = parseRetryAfter(response.headers['retry-after'], now);
+      if (retryAfter) {
+        this.pausedUntil = Math.max(
+          this.pausedUntil,
+          now + Math.min(retryAfter, this.options.maxRetryAfter));
+      }
+      return this.slowDown(now);
+    }
+
+    this._samples++;
+    this._latency = this._latency == null
+      ? latency
+      : LATENCY_SMOOTHING * latency + (1 - LATENCY_SMOOTHING) * this._latency;
+    if (this._samples >= LATENCY_WARMUP) {
+      if (this._baselineLatency == null || this._latency < this._baselineLatency) {
+        this._baselineLatency = this._latency;
+      }
+      else if (this._latency > this._baselineLatency * this.options.latencyFactor
+        && this._latency > this._baselineLatency + this.options.latencyIncrease) {
+        return this.slowDown(now);
+      }
+    }
+
+    this._successes++;
+    if (this._successes >= this.options.increaseAfter) {
+      this.speedUp();
+    }
+  }
+
+  slowDown (now) {
+    this._successes = 0;
+    if (now - this._lastSlowdown < this.options.cooldown) return;
+
+    this._lastSlowdown = now;
+    this.stats.slowdowns++;
+    this.sockets = Math.max(this.options.minSockets, Math.floor(this.sockets / 2));
+
+    let rate = this.perMinute;
+    if (!isFinite(rate)) {
+      rate = this._unlimitedRate = Math.max(this.options.minPerMinute, this._currentRate(now));
+    }
+    this.perMinute = Math.max(this.options.minPerMinute, rate / 2);
+
+    this.stats.minSockets = Math.min(this.stats.minSockets, this.sockets);
+    this.stats.minPerMinute = Math.min(this.stats.minPerMinute, this.perMinute);
+  }
+
+  speedUp () {
+    this._successes = 0;
+    this.sockets = Math.min(this.maxSockets, this.sockets + 1);
+
+    if (isFinite(this.perMinute)) {
+      this.perMinute *= 1.25;
+      if (this.perMinute >= this._unlimitedRate) {
+        this.perMinute = Infinity;
+      }
+      this.perMinute = Math.min(this.maxPerMinute, this.perMinute);
+    }
+  }
+
+  /**
+   * Get a summary of the rates that were actually used.
+   * @returns {ClientStats}
+   */
+  getStats () {
+    const stats = this.stats;
+    const minutes = stats.startTime ? (Date.now() - stats.startTime) / 60000 : 0;
+    const responses = stats.requests - stats.networkErrors;
+    return {
+      requests: stats.requests,
+      throttled: stats.throttled,
+      serverErrors: stats.serverErrors,
+      networkErrors: stats.networkErrors,
+      slowdowns: stats.slowdowns,
+      averageLatency: responses > 0 ? stats.totalLatency / responses : 0,
+      averagePerMinute: minutes > 0 ? stats.requests / minutes : 0,
+      sockets: {min: stats.minSockets, max: this.maxSockets, final: this.sockets},
+      perMinute: {min: stats.minPerMinute, max: this.maxPerMinute, final: this.perMinute}
+    };
+  }
+
+  // Requests started per minute over the last minute.
+  _currentRate (now) {
+    const elapsed = Math.min(60 * 1000, now - this.stats.startTime);
+    return elapsed > 0 ? this._recentStarts.length / elapsed * 60 * 1000 : 0;
+  }
+}
+
+/**
+ * Stops requests from going to Versionista when it appears to be down. After
+ * `failures` consecutive failed requests (network errors, 429, or 5xx
+ * responses), the breaker "opens" and pauses all requests for `pause`
+ * milliseconds. After the pause, a single trial request is allowed through;
+ * if it succeeds, requests continue as normal, but if it fails, the breaker
+ * opens again. If it would open more than `maxTrips` times in a row, it is
+ * broken instead and all requests should be abandoned.
+ */
+class CircuitBreaker {
+  constructor (options) {
+    this.options = Object.assign({}, CIRCUIT_BREAKER_DEFAULTS, options);
+    this.state = 'closed';
+    this.failures = 0;
+    this.trips = 0;
+    this.openUntil = 0;
+  }
+
+  get isBroken () {
+    return this.state === 'broken';
+  }
+
+  get isTrial () {
+    return this.state === 'half-open';
+  }
+
+  /**
+   * Milliseconds until requests may be made again, or 0 if they may be made
+   * now.
+   * @param {Number} now
+   * @returns {Number}
+   */
+  getDelay (now) {
+    if (this.state === 'open') {
+      if (now < this.openUntil) return this.openUntil - now;
+      this.state = 'half-open';
+    }
+    return 0;
+  }
+
+  recordSuccess () {
+    if (this.isBroken) return;
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.trips = 0;
+  }
+
+  recordFailure (now) {
+    if (this.isBroken) return;
+
+    this.failures++;
+    if (this.isTrial || this.failures >= this.options.failures) {
+      this.trips++;
+      if (this.trips > this.options.maxTrips) {
+        this.state = 'broken';
+      }
+      else {
+        this.state = 'open';
+        this.openUntil = now + this.options.pause;
+      }
+    }
+  }
+}
+
+/**
+ * Parse a `Retry-After` header, which may be a number of seconds or an HTTP
+ * date, into milliseconds from `now`.
+ * @param {String} [header]
+ * @param {Number} now
+ * @returns {Number|null}
+ */
+function parseRetryAfter (header, now) {
+  if (!header) return null;
+
+  let delay = parseFloat(header) * 1000;
+  if (isNaN(delay)) {
+    delay = Date.parse(header) - now;
+  }
+  return delay > 0 ? delay : null;
+}
+
+/**
+ * @typedef {Object} ClientStats
+ * @property {Number} requests Total requests made, including retries
+ * @property {Number} throttled Number of 429 responses
+ * @property {Number} serverErrors Number of 5xx responses
+ * @property {Number} networkErrors Number of requests that got no response
+ * @property {Number} slowdowns Number of times limits were lowered
+ * @property {Number} averageLatency Milliseconds
+ * @property {Number} averagePerMinute Requests per minute actually made
+ * @property {{min: Number, max: Number, final: Number}} sockets Limits on
+ *           simultaneous requests that were used
+ * @property {{min: Number, max: Number, final: Number}} perMinute Limits on
+ *           requests per minute that were used
+ */
+
+/**
+ * Create a function that makes queued, rate-limited, and retried requests.
+ * The returned function also has a `getStats()` method that returns a
+ * `ClientStats` object if `adaptive` is set (or `null` otherwise), and a
+ * `clearCookies()` method that starts a new session with Versionista.
+ * @param {Object} [options]
+ * @param {String} [options.userAgent]
+ * @param {Function} [options.transport] See `transport.js`
+ * @param {Number} [options.maxSockets] Maximum simultaneous requests
+ * @param {Number} [options.sleepEvery] Pause after this many requests
+ * @param {Number} [options.sleepFor] Milliseconds to pause for
+ * @param {Number} [options.maxPerMinute] Maximum requests per minute. 0 means
+ *        no limit.
+ * @param {Boolean|Object} [options.adaptive=false] Adjust the number of
+ *        simultaneous requests and requests per minute (up to `maxSockets`
+ *        and `maxPerMinute`) based on how Versionista is responding. May be
+ *        an object that overrides the settings in `ADAPTIVE_DEFAULTS`.
+ * @param {Number} [options.timeout=60000] Milliseconds to wait for a
+ *        response before failing a request. Individual requests can override
+ *        this with their own `timeout` option. 0 means no timeout.
+ * @param {Number} [options.maxRetries=3] Number of times to retry a request
+ * @param {Array<Number|String>} [options.retryOn] HTTP status codes and
+ *        error codes (e.g. `'ECONNRESET'`) to retry. Defaults to gateway
+ *        errors and the errors in `RETRYABLE_ERRORS`. Individual requests can
+ *        override this with a `retryIf(response)` function.
+ * @param {Number} [options.retryDelay] Milliseconds to wait before the first
+ *        retry. Delays double with each retry (up to `maxRetryDelay`) and are
+ *        randomized a bit so retries don't all happen at once. Defaults to
+ *        twice `sleepFor`.
+ * @param {Number} [options.maxRetryDelay=60000]
+ * @param {Boolean|Object} [options.circuitBreaker=true] Pause all requests
+ *        when many fail in a row, and give up if Versionista stays down. May
+ *        be an object that overrides the settings in
+ *        `CIRCUIT_BREAKER_DEFAULTS`, or `false` to disable. When the circuit
+ *        breaker gives up, all outstanding and future requests fail with the
+ *        error code `VERSIONISTA:SERVICE_DOWN`.
+ * @returns {Function}
+ */
+function createClient ({userAgent, transport, maxSockets = MAX_SOCKETS, sleepEvery = SLEEP_EVERY, sleepFor = SLEEP_FOR, maxPerMinute = MAX_PER_MINUTE, adaptive = false, timeout = TIMEOUT, maxRetries = MAX_RETRIES, retryOn, retryDelay = sleepFor * 2, maxRetryDelay = MAX_RETRY_DELAY, circuitBreaker = true} = {}) {
   maxPerMinute = maxPerMinute || Infinity; // Allow 0 to imply Infinity
 
-  const cookieJar = request.jar();
-  const versionistaRequest = request.defaults({
-    jar: cookieJar,
-    headers: {'User-Agent': userAgent}
+  const retryableErrors = retryOn
+    ? retryOn.filter(code => typeof code === 'string')
+    : RETRYABLE_ERRORS;
+  const retryableStatuses = retryOn
+    ? retryOn.filter(code => typeof code === 'number')
+    : RETRYABLE_STATUSES;
+
+  const breaker = circuitBreaker && new CircuitBreaker(
+    typeof circuitBreaker === 'object' ? circuitBreaker : {});
+  let abortError = null;
+  let lastFailure = null;
+
+  const limiter = adaptive && new AdaptiveLimiter({
+    maxSockets,
+    maxPerMinute,
+    options: typeof adaptive === 'object' ? adaptive : {}
   });
 
+  // The transport actually performs HTTP requests (see `transport.js`).
+  const versionistaRequest = transport || createRequestTransport({userAgent});
+
   // Manage simultaneous requests. Request can actually do this natively with
   // its `pool` feature, but that can result in timeouts when a lot of requests
   // are queued up (which is likely here). This also lets us enforce short
@@ -58,15 +419,65 @@ function createClient ({userAgent = USER_AGENT, maxSockets = MAX_SOCKETS, sleepE
     }, time);
   }
 
-  let availableSockets = maxSockets;
+  // When adaptive, wait for the limiter before starting the next request.
+  let wakeTimer = null;
+  function wakeAfter (time) {
+    if (wakeTimer) return;
+    wakeTimer = setTimeout(() => {
+      wakeTimer = null;
+      doNextRequest();
+    }, time);
+  }
+
+  // Exponential backoff with "equal jitter": wait somewhere between half and
+  // all of the exponential delay.
+  function getRetryDelay (retries) {
+    const delay = Math.min(maxRetryDelay, retryDelay * Math.pow(2, retries - 1));
+    return delay / 2 + Math.random() * delay / 2;
+  }
+
+  // Give up on all requests when the circuit breaker is broken.
+  function abort () {
+    const description = lastFailure.error
+      ? lastFailure.error.code || lastFailure.error.message
+      : `HTTP ${lastFailure.response.statusCode}`;
+    abortError = new Error(`Versionista appears to be down: giving up after pausing ${breaker.options.maxTrips} times with no successful requests. Last failure: ${description}`);
+    abortError.code = 'VERSIONISTA:SERVICE_DOWN';
+    queue.splice(0).forEach(task => task.reject(abortError));
+  }
+
+  let activeRequests = 0;
   let windowStart;
   let windowSize = 60 * 1000; // 1 minute
   let availableInWindow = maxPerMinute;
   const queue = [];
   function doNextRequest () {
-    if (availableSockets <= 0 || sleeping) return;
+    if (abortError) return;
 
     const now = Date.now();
+    if (breaker) {
+      const delay = breaker.getDelay(now);
+      if (delay > 0) {
+        wakeAfter(delay);
+        return;
+      }
+    }
+
+    // Only make one request at a time to test whether a tripped circuit
+    // breaker can close again.
+    const socketLimit = breaker && breaker.isTrial
+      ? 1
+      : (limiter ? limiter.sockets : maxSockets);
+    if (activeRequests >= socketLimit || sleeping || !queue.length) return;
+
+    if (limiter) {
+      const delay = limiter.getDelay(now);
+      if (delay > 0) {
+        wakeAfter(delay);
+        return;
+      }
+    }
+
     if (windowStart) {
       const timeSinceWindowStart = now - windowStart;
       if (timeSinceWindowStart > windowSize) {
@@ -85,19 +496,38 @@ function createClient ({userAgent = USER_AGENT, maxSockets = MAX_SOCKETS, sleepE
 
     const task = queue.shift();
     if (task) {
-      availableSockets--;
+      activeRequests++;
       availableInWindow--;
+      if (limiter) limiter.recordStart(now);
       versionistaRequest(task.options, (error, response) => {
-        availableSockets++;
+        activeRequests--;
+        if (limiter) {
+          limiter.recordResult({latency: Date.now() - now, error, response});
+        }
+        if (breaker) {
+          if (error || response.statusCode >= 500 || response.statusCode === 429) {
+            lastFailure = {error, response};
+            breaker.recordFailure(Date.now());
+            if (breaker.isBroken && !abortError) abort();
+          }
+          else {
+            breaker.recordSuccess();
+          }
+        }
         sleepIfNecessary();
 
-        const shouldRetry = (error && RETRYABLE_ERRORS.includes(error.code))
-          || (response && task.retryIf(response));
+        const shouldRetry = (error && retryableErrors.includes(error.code))
+          || (response && task.retryIf(response))
+          // We only honor `Retry-After` when adaptive.
+          || (limiter && response && response.statusCode === 429);
 
-        if (shouldRetry && task.retries < MAX_RETRIES) {
+        if (abortError) {
+          task.reject(abortError);
+        }
+        else if (shouldRetry && task.retries < maxRetries) {
           task.retries += 1;
           queue.unshift(task);
-          sleep(sleepFor * task.retries * 2);
+          sleep(getRetryDelay(task.retries));
         }
         else if (error) {
           let message = error.message;
@@ -119,17 +549,25 @@ function createClient ({userAgent = USER_AGENT, maxSockets = MAX_SOCKETS, sleepE
         // queue an immediate next request first.
         process.nextTick(doNextRequest);
       });
+
+      // The limiter may allow more requests to start once it's time.
+      if (limiter) process.nextTick(doNextRequest);
     }
   }
 
-  // By default, auto-retry on gateway errors
-  const defaultRetryIf = r => (r.statusCode >= 502 && r.statusCode <= 504);
+  const defaultRetryIf = r => retryableStatuses.includes(r.statusCode);
 
-  return function (options) {
+  function client (options) {
     return new Promise((resolve, reject) => {
+      if (abortError) return reject(abortError);
+
+      if (timeout && !('timeout' in options)) {
+        options = Object.assign({timeout}, options);
+      }
+
       const task = {
         options: options,
-        retries: (options.retry === false) ? MAX_RETRIES : 0,
+        retries: (options.retry === false) ? maxRetries : 0,
         retryIf: options.retryIf || defaultRetryIf,
         resolve,
         reject
@@ -137,7 +575,83 @@ function createClient ({userAgent = USER_AGENT, maxSockets = MAX_SOCKETS, sleepE
       queue[options.immediate ? 'unshift' : 'push'](task);
       doNextRequest();
     });
+  }
+
+  client.getStats = () => limiter ? limiter.getStats() : null;
+  client.clearCookies = () => {
+    if (versionistaRequest.clearCookies) versionistaRequest.clearCookies();
   };
+
+  return client;
+}
+
+/**
+ * Get options for `createClient()` from a script's command-line arguments
+ * (`--parallel`, `--rate`, `--retries`, `--max-failures`, etc., and
+ * `--record` or `--replay` if the script supports them). Options that weren't
+ * set are left out so the client's defaults are used.
+ * @param {Object} args Arguments parsed by neodoc
+ * @returns {Object}
+ */
+function clientOptionsFromArgs (args) {
+  const options = {
+    maxSockets: args['--parallel'] && parseInt(args['--parallel'], 10),
+    sleepEvery: args['--pause-every'] && parseInt(args['--pause-every'], 10),
+    sleepFor: args['--pause-time'] && parseInt(args['--pause-time'], 10),
+    maxPerMinute: args['--rate'] && parseFloat(args['--rate']),
+    adaptive: args['--adaptive'] || null,
+    timeout: args['--timeout'] != null ? parseInt(args['--timeout'], 10) : null,
+    maxRetries: args['--retries'] != null ? parseInt(args['--retries'], 10) : null,
+    retryOn: args['--retry-on'] && String(args['--retry-on']).split(',').map(code => {
+      code = code.trim();
+      return /^\d+$/.test(code) ? parseInt(code, 10) : code;
+    })
+  };
+  if (args['--max-failures'] === 0) {
+    options.circuitBreaker = false;
+  }
+  else if (args['--max-failures'] || args['--failure-pause'] || args['--max-pauses']) {
+    options.circuitBreaker = {
+      failures: args['--max-failures'] && parseInt(args['--max-failures'], 10),
+      pause: args['--failure-pause'] && parseInt(args['--failure-pause'], 10),
+      maxTrips: args['--max-pauses'] && parseInt(args['--max-pauses'], 10)
+    };
+    Object.keys(options.circuitBreaker).forEach(key => {
+      if (!options.circuitBreaker[key]) { delete options.circuitBreaker[key]; }
+    });
+  }
+  if (args['--replay']) {
+    options.transport = createReplayTransport(args['--replay']);
+  }
+  else if (args['--record']) {
+    options.transport = createRecordingTransport(
+      createRequestTransport(),
+      args['--record']);
+  }
+  Object.keys(options).forEach(key => {
+    if (options[key] == null) { delete options[key]; }
+  });
+
+  return options;
+}
+
+/**
+ * Describe the rates an adaptive client used, for reporting at the end of a
+ * run.
+ * @param {ClientStats} stats
+ * @returns {String}
+ */
+function formatStats (stats) {
+  const rate = value => isFinite(value) ? value.toFixed(1) : 'unlimited';
+  return [
+    `Made ${stats.requests} requests (${rate(stats.averagePerMinute)} per minute, ${Math.round(stats.averageLatency)} ms average latency)`,
+    `  ${stats.throttled} throttled, ${stats.serverErrors} server errors, ${stats.networkErrors} network errors, ${stats.slowdowns} slowdowns`,
+    `  Simultaneous requests: ${stats.sockets.min} to ${stats.sockets.max} (ended at ${stats.sockets.final})`,
+    `  Requests per minute limit: ${rate(stats.perMinute.min)} to ${rate(stats.perMinute.max)} (ended at ${rate(stats.perMinute.final)})`
+  ].join('\n');
 }
 
 module.exports = createClient;
+createClient.formatStats = formatStats;
+createClient.clientOptionsFromArgs = clientOptionsFromArgs;
+createClient.RETRYABLE_ERRORS = RETRYABLE_ERRORS;
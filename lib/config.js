@@ -0,0 +1,366 @@
+'use strict';
+
+/**
+ * Shared configuration loading for the scripts in `bin/`. Scripts describe
+ * their options with neodoc help text as usual, but call `config.run()`
+ * instead of `neodoc.run()`. Each option's value then comes from the first of
+ * these places that has it:
+ *
+ * 1. The command line
+ * 2. An environment variable (per the option's `[env: NAME]` tag)
+ * 3. A config file specified with `--config`
+ * 4. The option's `[default: value]` tag
+ *
+ * Config files are JSON or a simple YAML-style list of `name: value` lines.
+ * Keys are the long names of options without the leading dashes, e.g.
+ * `pause-time`. In JSON files, an object keyed by a script's name (e.g.
+ * `"scrape-versionista": {...}`) holds settings that only apply to that
+ * script, so one file can be shared by all the scripts. Settings for options
+ * a script doesn't have are ignored.
+ *
+ * Values for well-known options (dates, numbers, and URLs) are validated and
+ * converted to the appropriate types.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const neodoc = require('neodoc');
+
+const INTEGER_OPTIONS = [
+  'chunk',
+  'chunk-size',
+  'diff-port',
+  'error-status',
+  'failure-pause',
+  'max-failures',
+  'max-pauses',
+  'parallel',
+  'pause-every',
+  'pause-time',
+  'poll-timeout',
+  'port',
+  'retries',
+  'scrape-parallel',
+  'scrape-pause-every',
+  'scrape-pause-time',
+  'session-requests',
+  'slow-time',
+  'start-from',
+  'throughput',
+  'timeout'
+];
+
+const NUMBER_OPTIONS = [
+  'chunk-delay',
+  'deleted-rate',
+  'error-rate',
+  'overlap',
+  'rate',
+  'retry-after',
+  'scrape-rate',
+  'slow-rate'
+];
+
+/**
+ * Types of well-known options shared by several scripts. Scripts can add to
+ * or override these with the `types` option of `run()`.
+ * - `date`: An ISO 8601 date or a number of hours before now, as a Date
+ * - `hours`: A number of hours (not converted)
+ * - `integer`, `number`: Non-negative numbers
+ * - `url`: An HTTP or HTTPS URL
+ * - `string`: Anything (not validated)
+ */
+const TYPES = Object.assign(
+  {
+    after: 'date',
+    before: 'date',
+    host: 'url',
+    'ui-url': 'url',
+    'versionista-url': 'url'
+  },
+  ...INTEGER_OPTIONS.map(name => ({[name]: 'integer'})),
+  ...NUMBER_OPTIONS.map(name => ({[name]: 'number'})));
+
+// Options whose values should never be written out.
+const SECRET_PATTERN = /password|secret|^key$|-key$/;
+
+// Sources of values and the args objects they describe.
+const sourcesForArgs = new WeakMap();
+
+/**
+ * Parse a script's options from the command line, environment, and config
+ * file. Exits with an error message if any values are invalid.
+ * @param {String} helpText neodoc help text for the script
+ * @param {Object} [options]
+ * @param {Object} [options.types] Types for options, in addition to `TYPES`
+ * @returns {Object} Options keyed by name, like `neodoc.run()`
+ */
+function run (helpText, {types = {}} = {}) {
+  const spec = neodoc.parse(helpText);
+  // Environment variables are handled here so they can take precedence over
+  // the config file (neodoc would apply them before we see the config file).
+  const args = neodoc.run(spec, {env: {}});
+  const script = spec.program;
+
+  const optionSpecs = spec.descriptions
+    .filter(description => description.type === 'OPTION')
+    .map(description => ({
+      name: description.aliases.find(alias => alias.startsWith('--')),
+      env: description.env,
+      hasDefault: 'default' in description
+    }))
+    .filter(option => !!option.name);
+
+  const sources = {};
+  const fromCommandLine = commandLineOptions(process.argv.slice(2));
+
+  let fileConfig = {};
+  if (args['--config']) {
+    try {
+      fileConfig = readConfigFile(args['--config'], script);
+    }
+    catch (error) {
+      exitWithError(error.message);
+    }
+  }
+
+  optionSpecs.forEach(option => {
+    const key = option.name.slice(2);
+    if (fromCommandLine.has(option.name)) {
+      sources[option.name] = 'command line';
+    }
+    else if (option.env && process.env[option.env]) {
+      args[option.name] = process.env[option.env];
+      sources[option.name] = `environment variable ${option.env}`;
+    }
+    else if (key in fileConfig) {
+      args[option.name] = fileConfig[key];
+      sources[option.name] = `config file ${args['--config']}`;
+    }
+    else if (option.hasDefault) {
+      sources[option.name] = 'default';
+    }
+  });
+
+  const allTypes = Object.assign({}, TYPES, types);
+  Object.keys(sources).forEach(name => {
+    const type = allTypes[name.slice(2)];
+    if (!type || args[name] == null) return;
+
+    try {
+      args[name] = convert(args[name], type);
+    }
+    catch (error) {
+      exitWithError(`Invalid value for ${name} (from ${sources[name]}): ${error.message}`);
+    }
+  });
+
+  sourcesForArgs.set(args, sources);
+  return args;
+}
+
+/**
+ * Convert a date option's value to a Date. Numbers (or numeric strings) are
+ * treated as a number of hours before now.
+ * @param {Date|Number|String} value
+ * @returns {Date}
+ */
+function parseDate (value) {
+  if (value instanceof Date) return value;
+
+  if (typeof value === 'number' || /^\s*\d+(\.\d+)?\s*$/.test(value)) {
+    return new Date(Date.now() - Number(value) * 60 * 60 * 1000);
+  }
+
+  const date = new Date(value);
+  if (isNaN(date)) {
+    throw new Error(`"${value}" is not an ISO 8601 date or a number of hours`);
+  }
+  return date;
+}
+
+function convert (value, type) {
+  if (type === 'date') {
+    return parseDate(value);
+  }
+  else if (type === 'integer' || type === 'number' || type === 'hours') {
+    const number = Number(value);
+    if (typeof value === 'boolean' || value === '' || isNaN(number) || number < 0) {
+      throw new Error(`"${value}" is not a non-negative number`);
+    }
+    if (type === 'integer' && !Number.isInteger(number)) {
+      throw new Error(`"${value}" is not a whole number`);
+    }
+    return number;
+  }
+  else if (type === 'url') {
+    if (!/^https?:\/\/[^/]+/.test(value)) {
+      throw new Error(`"${value}" is not an HTTP or HTTPS URL`);
+    }
+    return value;
+  }
+  return value;
+}
+
+// Get the names of all the long options in a list of arguments.
+function commandLineOptions (argv) {
+  const names = new Set();
+  for (const argument of argv) {
+    if (argument === '--') break;
+    const match = argument.match(/^(--[\w-]+)/);
+    if (match) names.add(match[1]);
+  }
+  return names;
+}
+
+/**
+ * Read a config file, merging any section for the given script over the
+ * top-level settings.
+ * @param {String} filePath
+ * @param {String} [script]
+ * @returns {Object}
+ */
+function readConfigFile (filePath, script) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  }
+  catch (error) {
+    throw new Error(`Could not read config file ${filePath}: ${error.message}`);
+  }
+
+  let data;
+  if (path.extname(filePath) === '.json' || text.trim().startsWith('{')) {
+    try {
+      data = JSON.parse(text);
+    }
+    catch (error) {
+      throw new Error(`Could not parse config file ${filePath}: ${error.message}`);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error(`Config file ${filePath} must contain a JSON object`);
+    }
+  }
+  else {
+    data = parseSimpleYaml(text, filePath);
+  }
+
+  const settings = Object.assign({}, data);
+  Object.keys(settings).forEach(key => {
+    if (settings[key] && typeof settings[key] === 'object' && !Array.isArray(settings[key])) {
+      delete settings[key];
+    }
+  });
+  if (script && data[script] && typeof data[script] === 'object') {
+    Object.assign(settings, data[script]);
+  }
+  return settings;
+}
+
+/**
+ * Parse a flat YAML-style file of `name: value` lines. Values may be quoted
+ * strings, numbers, `true`, `false`, `null`, or lists like `[a, b]`. Lines
+ * starting with `#` are comments. Nesting is not supported.
+ * @param {String} text
+ * @param {String} filePath For error messages
+ * @returns {Object}
+ */
+function parseSimpleYaml (text, filePath) {
+  const result = {};
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+
+    const match = line.match(/^([\w-]+)\s*:\s*(.*?)\s*$/);
+    if (!match) {
+      throw new Error(`Could not parse line ${index + 1} of config file ${filePath}: "${line}"`);
+    }
+
+    const value = match[2];
+    if (value.startsWith('[') && value.endsWith(']')) {
+      result[match[1]] = value.slice(1, -1).split(',')
+        .map(item => item.trim())
+        .filter(item => item !== '')
+        .map(parseYamlScalar);
+    }
+    else {
+      result[match[1]] = parseYamlScalar(value);
+    }
+  });
+  return result;
+}
+
+function parseYamlScalar (value) {
+  const quoted = value.match(/^(["'])(.*)\1$/);
+  if (quoted) return quoted[2];
+
+  // Strip trailing comments from unquoted values.
+  value = value.replace(/\s+#.*$/, '');
+  if (value === '' || value === 'null' || value === '~') return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  return value;
+}
+
+/**
+ * Get the merged configuration for a set of args returned by `run()`, with
+ * the source of each value. Secrets like passwords are redacted.
+ * @param {Object} args
+ * @returns {{options: Object, sources: Object}}
+ */
+function describe (args) {
+  const sources = sourcesForArgs.get(args) || {};
+  const options = {};
+  Object.keys(sources).forEach(name => {
+    const value = args[name];
+    if (value == null || value === false) return;
+
+    options[name.slice(2)] = SECRET_PATTERN.test(name) ? '[redacted]' : value;
+  });
+
+  const sourcesByKey = {};
+  Object.keys(options).forEach(key => {
+    sourcesByKey[key] = sources[`--${key}`];
+  });
+
+  return {options, sources: sourcesByKey};
+}
+
+/**
+ * Write the merged configuration for a run to a file, so the run can be
+ * reproduced later. (Secrets are redacted.)
+ * @param {Object} args Args returned by `run()`
+ * @param {String} filePath
+ * @returns {Promise}
+ */
+function save (args, filePath) {
+  const data = Object.assign({createdAt: new Date()}, describe(args));
+  return fs.promises.mkdir(path.dirname(filePath), {recursive: true})
+    .then(() => fs.promises.writeFile(filePath, JSON.stringify(data, null, 2)));
+}
+
+/**
+ * Get a path for saving the config of a run alongside an output file, e.g.
+ * `versions.json` -> `versions.config.json`.
+ * @param {String} outputPath
+ * @returns {String}
+ */
+function pathForOutput (outputPath) {
+  const extension = path.extname(outputPath);
+  return outputPath.slice(0, outputPath.length - extension.length) + '.config.json';
+}
+
+function exitWithError (message) {
+  console.error(message);
+  process.exit(1);
+}
+
+module.exports = {
+  run,
+  parseDate,
+  readConfigFile,
+  describe,
+  save,
+  pathForOutput,
+  TYPES
+};
@@ -0,0 +1,163 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const CONTENT_DIRECTORY = 'content';
+// Matches the content-addressed part of a path, e.g.
+// `versionista1/content/ab/ab12...ef.html` -> `content/ab/ab12...ef.html`
+const CONTENT_PATH_PATTERN = /(?:^|\/)(content\/([0-9a-f]{2})\/\2[0-9a-f]{62}(?:\.[\w.-]+)?)$/;
+
+/**
+ * Stores version bodies in a content-addressed layout, where each unique body
+ * is written once under its SHA-256 hash, no matter how many versions have it:
+ *
+ *   <directory>/content/<first 2 characters of hash>/<hash><extension>
+ *
+ * Paths in this layout are stable, so uploaders can skip bodies that have
+ * already been uploaded and importers can point many versions at one object.
+ */
+class ContentStore {
+  /**
+   * Creates an instance of ContentStore.
+   * @param {String} directory Directory to create the `content` directory in
+   * @param {Object} [options]
+   * @param {Set<String>} [options.storedPaths] Content paths (as returned by
+   *        `contentPath()`) that are known to be stored elsewhere, e.g. in S3.
+   *        See `loadListing()`.
+   */
+  constructor (directory, {storedPaths = new Set()} = {}) {
+    this.directory = directory;
+    this.storedPaths = storedPaths;
+    this.stats = {
+      stored: 0,
+      duplicates: 0,
+      duplicateBytes: 0
+    };
+    this._writes = new Map();
+  }
+
+  /**
+   * Get the full path a body would be stored at.
+   * @param {String} hash SHA-256 hash of the body, as hex
+   * @param {String} [extension] e.g. `.html`
+   * @returns {String}
+   */
+  pathFor (hash, extension = '') {
+    return path.join(this.directory, contentPath(hash, extension));
+  }
+
+  /**
+   * Determine whether a body is already stored, either locally or in the
+   * known stored paths.
+   * @param {String} hash SHA-256 hash of the body, as hex
+   * @param {String} [extension] e.g. `.html`
+   * @returns {Promise<Boolean>}
+   */
+  has (hash, extension = '') {
+    if (this.storedPaths.has(contentPath(hash, extension))) {
+      return Promise.resolve(true);
+    }
+
+    const filePath = this.pathFor(hash, extension);
+    if (this._writes.has(filePath)) {
+      return this._writes.get(filePath).then(() => true, () => false);
+    }
+    return fs.promises.access(filePath).then(() => true, () => false);
+  }
+
+  /**
+   * Save a body if it isn't already stored. Bodies that are already stored
+   * (in this run or a previous one) are not written again.
+   * @param {String} hash SHA-256 hash of the body, as hex
+   * @param {Buffer|String} body
+   * @param {String} [extension] e.g. `.html`
+   * @returns {Promise<String>} The full path the body is stored at
+   */
+  save (hash, body, extension = '') {
+    const filePath = this.pathFor(hash, extension);
+
+    if (this._writes.has(filePath)) {
+      this._countDuplicate(body);
+      return this._writes.get(filePath);
+    }
+
+    const write = fs.promises.mkdir(path.dirname(filePath), {recursive: true})
+      .then(() => fs.promises.writeFile(filePath, body, {flag: 'wx'}))
+      .then(
+        () => { this.stats.stored++; },
+        error => {
+          if (error.code !== 'EEXIST') {
+            // Allow a later save to try again.
+            this._writes.delete(filePath);
+            throw error;
+          }
+          this._countDuplicate(body);
+        })
+      .then(() => filePath);
+
+    this._writes.set(filePath, write);
+    return write;
+  }
+
+  _countDuplicate (body) {
+    this.stats.duplicates++;
+    this.stats.duplicateBytes += Buffer.byteLength(body);
+  }
+}
+
+/**
+ * Get the relative path for a body in the content-addressed layout.
+ * @param {String} hash SHA-256 hash of the body, as hex
+ * @param {String} [extension]
+ * @returns {String}
+ */
+function contentPath (hash, extension = '') {
+  if (!/^[0-9a-f]{64}$/.test(hash)) {
+    throw new Error(`Not a SHA-256 hash: "${hash}"`);
+  }
+  return path.posix.join(CONTENT_DIRECTORY, hash.slice(0, 2), hash + extension);
+}
+
+/**
+ * If a path points to a body in the content-addressed layout, get the part of
+ * it that starts at the `content` directory. Otherwise, get `null`.
+ * @param {String} filePath
+ * @returns {String|null}
+ */
+function parseContentPath (filePath) {
+  if (!filePath) return null;
+
+  const match = filePath.split(path.sep).join('/').match(CONTENT_PATH_PATTERN);
+  return match ? match[1] : null;
+}
+
+/**
+ * Load a listing of stored objects, e.g. from `aws s3 ls --recursive` or
+ * `gsutil ls -r`, and get the content paths in it. Each line should end with
+ * an object's key, path, or URL; lines for other objects are ignored.
+ * @param {String} filePath
+ * @returns {Set<String>}
+ */
+function loadListing (filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  }
+  catch (error) {
+    throw new Error(`Could not read listing of stored objects ${filePath}: ${error.message}`);
+  }
+
+  const paths = new Set();
+  text.split('\n').forEach(line => {
+    const key = line.trim().split(/\s+/).pop();
+    const contentPath = parseContentPath(key);
+    if (contentPath) paths.add(contentPath);
+  });
+  return paths;
+}
+
+module.exports = ContentStore;
+ContentStore.contentPath = contentPath;
+ContentStore.parseContentPath = parseContentPath;
+ContentStore.loadListing = loadListing;
@@ -0,0 +1,129 @@
+'use strict';
+
+/**
+ * @typedef {Object} CsvColumn
+ * @property {String} name Used to select the column, e.g. `text-diff-hash`
+ * @property {String} header Title of the column in the header row
+ * @property {(record: any, index: Number, options: Object) => any} value Gets
+ *           the column's value for a record. `index` is the record's position
+ *           in the sorted output.
+ * @property {(options: Object) => Boolean} [when] If set, presets only include
+ *           the column when this returns true for the formatting options (e.g.
+ *           diff file columns are only included when diffs were saved).
+ */
+
+/**
+ * A set of named columns that CSV sheets can be built from, plus presets:
+ * named lists of columns for common kinds of sheets.
+ *
+ * Columns for a sheet are chosen with a list of column and preset names, like
+ * `minimal,priority`. A column can be given a different header with
+ * `name=Header`, e.g. `last-two=This Period - Side by Side`.
+ */
+class ColumnSet {
+  /**
+   * @param {CsvColumn[]} columns
+   * @param {Object<String, String[]>} presets Lists of column names by preset
+   *        name. The first preset is the default.
+   */
+  constructor (columns, presets) {
+    this.columns = new Map(columns.map(column => [column.name, column]));
+    this.presets = presets;
+    this.defaultPreset = Object.keys(presets)[0];
+  }
+
+  /**
+   * Get a column by name.
+   * @param {String} name
+   * @returns {CsvColumn}
+   */
+  get (name) {
+    return this.columns.get(name);
+  }
+
+  /**
+   * Get the columns for a sheet.
+   * @param {String|String[]} [spec] Comma-separated column and preset names
+   *        (or an array of them). Defaults to the first preset.
+   * @param {Object} [options] Formatting options to check columns' `when`
+   *        conditions against. Columns that are named explicitly are always
+   *        included.
+   * @returns {CsvColumn[]}
+   */
+  resolve (spec, options = {}) {
+    const items = (Array.isArray(spec) ? spec : String(spec || this.defaultPreset).split(','))
+      .map(item => String(item).trim())
+      .filter(item => item);
+    if (!items.length) {
+      throw invalidColumnsError('No columns were specified');
+    }
+
+    const selected = new Map();
+    const add = (name, header, explicit) => {
+      const column = this.columns.get(name);
+      if (!column) {
+        throw invalidColumnsError(`Unknown CSV column: '${name}' (must be a preset [${Object.keys(this.presets).join(', ')}] or a column [${Array.from(this.columns.keys()).join(', ')}])`);
+      }
+      if (selected.has(name)) {
+        // Renaming a column that a preset already included keeps its place.
+        if (header) selected.set(name, Object.assign({}, column, {header}));
+        return;
+      }
+      if (!explicit && column.when && !column.when(options)) {
+        return;
+      }
+      selected.set(name, header ? Object.assign({}, column, {header}) : column);
+    };
+
+    items.forEach(item => {
+      const separator = item.indexOf('=');
+      const name = separator > -1 ? item.slice(0, separator).trim() : item;
+      const header = separator > -1 ? item.slice(separator + 1).trim() : null;
+      if (!header && this.presets[name]) {
+        this.presets[name].forEach(columnName => add(columnName, null, false));
+      }
+      else {
+        add(name, header, true);
+      }
+    });
+
+    return Array.from(selected.values());
+  }
+
+  /**
+   * Build the rows of a sheet (including the header row) from records that
+   * are already sorted.
+   * @param {Array} records
+   * @param {CsvColumn[]} columns From `resolve()`
+   * @param {Object} [options]
+   * @returns {Array[]}
+   */
+  rows (records, columns, options = {}) {
+    return [
+      columns.map(column => column.header),
+      ...records.map((record, index) => columns.map(column => {
+        return column.value(record, index, options);
+      }))
+    ];
+  }
+
+  /**
+   * Get the value of a single column for a record, e.g. for sorting by a
+   * column whether or not it is in the sheet.
+   * @param {String} name
+   * @param {any} record
+   * @param {Object} [options]
+   * @returns {any}
+   */
+  value (name, record, options = {}) {
+    return this.columns.get(name).value(record, 0, options);
+  }
+}
+
+function invalidColumnsError (message) {
+  const error = new Error(message);
+  error.code = 'VERSIONISTA:INVALID_COLUMNS';
+  return error;
+}
+
+module.exports = ColumnSet;
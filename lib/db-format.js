@@ -0,0 +1,294 @@
+'use strict';
+
+/**
+ * Conversion between scrape-versionista's JSON-stream version records and the
+ * version format that web-monitoring-db imports
+ * (https://github.com/edgi-govdata-archiving/web-monitoring-db/).
+ */
+
+const http = require('http');
+const path = require('path');
+const url = require('url');
+const {parseContentPath} = require('./content-store');
+const {DIFF_TYPES, versionDiffs, isLocalDiff} = require('./diff-types');
+
+const DEFAULT_BUCKET = 'edgi-wm-versionista';
+
+/**
+ * Expected fields of a version in web-monitoring-db's import format. Types are
+ * like `assertSchema()` in `versionista.js`: a trailing `?` means the field is
+ * optional, and `|` separates alternative types. `url` and `date` are strings
+ * that must parse as those things.
+ */
+const importSchema = {
+  page_url: 'url',
+  page_maintainers: 'array?',
+  page_tags: 'array?',
+  title: 'string|null?',
+  capture_time: 'date',
+  uri: 'url|undefined?',
+  version_hash: 'hash|undefined?',
+  status: 'number|null?',
+  source_type: 'string',
+  source_metadata: 'object'
+};
+
+const sourceMetadataSchema = {
+  account: 'string?',
+  site_id: 'string|number',
+  page_id: 'string|number',
+  version_id: 'string|number',
+  url: 'url'
+};
+
+// Fields that scrape-versionista's JSON-stream output always has (see
+// `validateScraperVersion()`).
+const scraperSchema = {
+  pageUrl: 'url',
+  siteId: 'string|number',
+  pageId: 'string|number',
+  versionId: 'string|number',
+  url: 'url',
+  date: 'date',
+  hash: 'hash|undefined?',
+  status: 'number|null?'
+};
+
+/**
+ * Convert a version from scrape-versionista's JSON-stream output to the
+ * format web-monitoring-db imports.
+ * @param {Object} version
+ * @param {Object} [options]
+ * @param {String} [options.bucket] S3 bucket that saved content is uploaded to
+ * @returns {Object}
+ */
+function importableVersion (version, {bucket = DEFAULT_BUCKET} = {}) {
+  let s3Url = undefined;
+  if (version.filePath) {
+    // Content-addressed files are shared by all the versions with the same
+    // content, so they aren't in a page's directory.
+    const contentPath = parseContentPath(version.filePath);
+    let s3Path = contentPath ? `${version.account}/${contentPath}` : [
+      version.account,
+      `${version.siteId}-${version.pageId}`,
+      path.basename(version.filePath)
+    ].join('/');
+    s3Url = `https://${bucket}.s3.amazonaws.com/${s3Path}`;
+  }
+
+  const importable = {
+    page_url: version.pageUrl,
+    page_maintainers: [version.agency],
+    page_tags: [`site:${version.siteName}`],
+    title: version.title || version.pageTitle,
+    capture_time: version.date,
+    uri: s3Url,
+    version_hash: version.hash,
+    status: version.status,
+    source_type: 'versionista',
+    source_metadata: {
+      account: version.account,
+      site_id: version.siteId,
+      page_id: version.pageId,
+      version_id: version.versionId,
+      url: version.url,
+      has_content: version.hasContent,
+      error_code: version.is404Page ? '404' : version.errorCode,
+      diff_with_previous_url: version.diffWithPreviousUrl,
+      diff_with_first_url: version.diffWithFirstUrl,
+      length: version.length,
+      headers: version.headers,
+      content_type: version.contentType,
+      status: version.status,
+      load_time: version.loadTime,
+      redirects: version.redirects,
+      last_date: version.lastDate
+    }
+  };
+
+  // e.g. `diff_hash`/`diff_length` or `diff_text_hash`/`diff_text_length`.
+  // Hashes of local diffs don't match Versionista's, so they get their own
+  // fields, e.g. `diff_text_local_hash`.
+  versionDiffs(version).forEach(({type, diff}) => {
+    const prefix = isLocalDiff(diff) ? `${type.dbField}_local` : type.dbField;
+    importable.source_metadata[`${prefix}_hash`] = diff.hash;
+    importable.source_metadata[`${prefix}_length`] = diff.length;
+  });
+
+  return importable;
+}
+
+/**
+ * Convert a version from web-monitoring-db (either in its import format or
+ * as exported from its API) back to scrape-versionista's JSON-stream format.
+ * Some information is not kept in the DB, so the result may be missing fields
+ * (e.g. `pageTitle`, `diffWithFirstDate`, or the paths of saved diffs), and
+ * `filePath` is the path of the content in its bucket rather than on disk.
+ * @param {Object} dbVersion
+ * @returns {Object}
+ */
+function scraperVersion (dbVersion) {
+  const metadata = dbVersion.source_metadata || {};
+  const siteTag = (dbVersion.page_tags || [])
+    .map(tag => typeof tag === 'string' ? tag : tag.name)
+    .find(tag => tag && tag.startsWith('site:'));
+  const maintainer = (dbVersion.page_maintainers || [])
+    .map(maintainer => typeof maintainer === 'string' ? maintainer : maintainer.name)[0];
+  const uri = dbVersion.uri || dbVersion.body_url;
+
+  const version = {
+    account: metadata.account,
+    siteName: siteTag ? siteTag.slice('site:'.length) : undefined,
+    agency: maintainer,
+    versionistaSiteUrl: undefined,
+    versionistaPageUrl: undefined,
+    pageUrl: dbVersion.page_url || dbVersion.capture_url || dbVersion.url,
+    siteId: metadata.site_id,
+    pageId: metadata.page_id,
+    versionId: metadata.version_id,
+    url: metadata.url,
+    date: dbVersion.capture_time,
+    hasContent: metadata.has_content,
+    errorCode: metadata.error_code,
+    lastDate: metadata.last_date,
+    status: dbVersion.status != null ? dbVersion.status : metadata.status,
+    length: metadata.length,
+    contentType: metadata.content_type,
+    loadTime: metadata.load_time,
+    redirects: metadata.redirects,
+    title: dbVersion.title,
+    diffWithPreviousUrl: metadata.diff_with_previous_url,
+    diffWithFirstUrl: metadata.diff_with_first_url,
+    filePath: uri ? url.parse(uri).pathname.replace(/^\//, '') : undefined,
+    hash: dbVersion.version_hash || dbVersion.body_hash,
+    headers: metadata.headers
+  };
+
+  // Versionista URLs look like `https://versionista.com/<site>/<page>/<version>/`
+  const versionistaUrl = (metadata.url || '').match(/^(.*\/\d+\/)(\d+\/)\d+\/?$/);
+  if (versionistaUrl) {
+    version.versionistaSiteUrl = versionistaUrl[1];
+    version.versionistaPageUrl = versionistaUrl[1] + versionistaUrl[2];
+  }
+
+  // The scraper always dates diffs with the previous version by the version.
+  if (version.diffWithPreviousUrl) {
+    version.diffWithPreviousDate = version.date;
+  }
+  Object.values(DIFF_TYPES).forEach(type => {
+    const diffHash = metadata[`${type.dbField}_hash`];
+    const localHash = metadata[`${type.dbField}_local_hash`];
+    if (diffHash) {
+      version[type.field] = {
+        hash: diffHash,
+        length: metadata[`${type.dbField}_length`]
+      };
+    }
+    else if (localHash) {
+      version[type.field] = {
+        hash: localHash,
+        length: metadata[`${type.dbField}_local_length`],
+        source: 'local'
+      };
+    }
+  });
+
+  // Drop missing fields so output matches what the scraper would write.
+  Object.keys(version).forEach(key => {
+    if (version[key] === undefined) delete version[key];
+  });
+
+  return version;
+}
+
+/**
+ * Check a version in web-monitoring-db's import format for problems that
+ * would cause the DB to reject it.
+ * @param {Object} record
+ * @returns {String[]} Descriptions of any problems
+ */
+function validateImportable (record) {
+  if (!record || typeof record !== 'object') {
+    return ['Version is not an object'];
+  }
+
+  const errors = validateSchema(importSchema, record);
+  if (record.source_metadata && typeof record.source_metadata === 'object') {
+    errors.push(...validateSchema(sourceMetadataSchema, record.source_metadata, 'source_metadata.'));
+  }
+
+  if (typeof record.status === 'number' && !http.STATUS_CODES[record.status]) {
+    errors.push(`Field 'status' is not a known HTTP status code: ${record.status}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Check a version in scrape-versionista's JSON-stream format (e.g. one
+ * converted from the DB with `scraperVersion()`) for missing or invalid
+ * fields.
+ * @param {Object} version
+ * @returns {String[]} Descriptions of any problems
+ */
+function validateScraperVersion (version) {
+  if (!version || typeof version !== 'object') {
+    return ['Version is not an object'];
+  }
+
+  const errors = validateSchema(scraperSchema, version);
+  if (typeof version.status === 'number' && !http.STATUS_CODES[version.status]) {
+    errors.push(`Field 'status' is not a known HTTP status code: ${version.status}`);
+  }
+  return errors;
+}
+
+function validateSchema (schema, object, prefix = '') {
+  const errors = [];
+  Object.keys(schema).forEach(key => {
+    let types = schema[key];
+    let optional = false;
+    if (types.endsWith('?')) {
+      optional = true;
+      types = types.slice(0, -1);
+    }
+
+    if (!(key in object) || object[key] === undefined) {
+      if (!optional && !types.includes('undefined')) {
+        errors.push(`Missing required field '${prefix}${key}'`);
+      }
+      return;
+    }
+
+    const value = object[key];
+    if (!types.split('|').some(type => isType(value, type))) {
+      const expected = types.split('|').filter(type => type !== 'undefined').join(' or ');
+      errors.push(`Field '${prefix}${key}' should be a ${expected}, but is: ${JSON.stringify(value)}`);
+    }
+  });
+  return errors;
+}
+
+function isType (value, type) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'undefined': return value === undefined;
+    case 'array': return Array.isArray(value);
+    case 'object': return !!value && typeof value === 'object' && !Array.isArray(value);
+    case 'number': return typeof value === 'number' && !isNaN(value);
+    case 'string': return typeof value === 'string';
+    case 'url': return typeof value === 'string' && /^https?:\/\/[^/]+/.test(value);
+    case 'date': return (typeof value === 'string' || value instanceof Date) &&
+      !isNaN(new Date(value));
+    case 'hash': return typeof value === 'string' && /^[0-9a-f]{64}$/.test(value);
+    default: return false;
+  }
+}
+
+module.exports = {
+  importableVersion,
+  scraperVersion,
+  validateImportable,
+  validateScraperVersion,
+  DEFAULT_BUCKET
+};
@@ -0,0 +1,109 @@
+'use strict';
+
+/**
+ * @typedef {Object} DiffType
+ * @property {String} name Name of the type in Versionista's diff API
+ * @property {String} field Property of a version that holds information about
+ *           a diff of this type (`{hash, length, path}`)
+ * @property {String} suffix Added to the file names of saved diffs
+ * @property {String} label Used in CSV column names, e.g. `Text Diff Hash`
+ * @property {String} dbField Prefix for fields in web-monitoring-db's
+ *           `source_metadata`, e.g. `diff_text` -> `diff_text_hash`
+ */
+
+/**
+ * Types of diffs Versionista's diff host can generate (see
+ * `Versionista#getVersionDiff()`). `only` and `text_only` were the only types
+ * the scraper used to fetch, so their fields and file names are shorter.
+ * @type {Object<String, DiffType>}
+ */
+const DIFF_TYPES = [
+  // "rendered: single page" in the UI
+  {name: 'edits', field: 'editsDiff', suffix: '-edits', label: 'Edits Diff', dbField: 'diff_edits'},
+  // "rendered: screenshots" in the UI
+  {name: 'screenshots', field: 'screenshotsDiff', suffix: '-screenshots', label: 'Screenshots Diff', dbField: 'diff_screenshots'},
+  // "source: formatted" in the UI
+  {name: 'html', field: 'htmlDiff', suffix: '-html', label: 'HTML Diff', dbField: 'diff_html'},
+  // "source: filtered" in the UI
+  {name: 'filtered', field: 'filteredDiff', suffix: '-filtered', label: 'Filtered Diff', dbField: 'diff_filtered'},
+  // "source: changes only" in the UI
+  {name: 'only', field: 'diff', suffix: '', label: 'Diff', dbField: 'diff'},
+  // "text" in the UI
+  {name: 'text', field: 'fullTextDiff', suffix: '-full-text', label: 'Full Text Diff', dbField: 'diff_full_text'},
+  // "text: changes only" in the UI
+  {name: 'text_only', field: 'textDiff', suffix: '-text', label: 'Text Diff', dbField: 'diff_text'}
+].reduce((types, type) => {
+  types[type.name] = type;
+  return types;
+}, {});
+
+const DEFAULT_DIFF_TYPES = ['only', 'text_only'];
+
+/**
+ * Parse a comma-separated list of diff types, like `only,text_only`.
+ * @param {String|String[]} [value] Defaults to `DEFAULT_DIFF_TYPES`
+ * @returns {String[]}
+ */
+function parseDiffTypes (value) {
+  if (!value) {
+    return DEFAULT_DIFF_TYPES.slice();
+  }
+
+  const names = (Array.isArray(value) ? value : String(value).split(','))
+    .map(name => name.trim())
+    .filter(name => name);
+  names.forEach(name => {
+    if (!DIFF_TYPES[name]) {
+      const error = new Error(`Unknown diff type: '${name}' (must be one of ${Object.keys(DIFF_TYPES).join(', ')})`);
+      error.code = 'VERSIONISTA:INVALID_DIFF_TYPE';
+      throw error;
+    }
+  });
+  return Array.from(new Set(names));
+}
+
+/**
+ * Get the diff types in a list of names. Types that are always included in
+ * output (`DEFAULT_DIFF_TYPES`) can be left out with `extraOnly`.
+ * @param {String[]} [names] Defaults to `DEFAULT_DIFF_TYPES`
+ * @param {Object} [options]
+ * @param {Boolean} [options.extraOnly=false]
+ * @returns {DiffType[]}
+ */
+function diffTypes (names = DEFAULT_DIFF_TYPES, {extraOnly = false} = {}) {
+  return names
+    .filter(name => !extraOnly || !DEFAULT_DIFF_TYPES.includes(name))
+    .map(name => DIFF_TYPES[name]);
+}
+
+/**
+ * Get information about all the diffs (of any type) that are attached to a
+ * version.
+ * @param {VersionistaVersion} version
+ * @returns {Array<{type: DiffType, diff: Object}>}
+ */
+function versionDiffs (version) {
+  return Object.values(DIFF_TYPES)
+    .filter(type => version[type.field])
+    .map(type => ({type, diff: version[type.field]}));
+}
+
+/**
+ * Determine whether a diff was computed locally (see `--local-diffs`) instead
+ * of by Versionista. Local diffs are formatted differently than Versionista's,
+ * so their hashes can't be compared with the hashes of Versionista's diffs.
+ * @param {Object} diff
+ * @returns {Boolean}
+ */
+function isLocalDiff (diff) {
+  return !!diff && diff.source === 'local';
+}
+
+module.exports = {
+  DIFF_TYPES,
+  DEFAULT_DIFF_TYPES,
+  parseDiffTypes,
+  diffTypes,
+  versionDiffs,
+  isLocalDiff
+};
@@ -0,0 +1,234 @@
+'use strict';
+
+const fs = require('fs');
+const {RETRYABLE_ERRORS} = require('./client');
+
+// Error codes from the network (in addition to `RETRYABLE_ERRORS`).
+const NETWORK_ERRORS = RETRYABLE_ERRORS.concat([
+  'ECONNABORTED',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'ENOTFOUND',
+  'EPIPE'
+]);
+
+/**
+ * Phases of a scrape that errors can happen in. `listing` is listing sites or
+ * the pages of a site, `versions` is listing the versions of a page, `content`
+ * and `diff` are downloading a version's content or diff, and `output` is
+ * writing results.
+ */
+const PHASES = ['listing', 'versions', 'content', 'diff', 'output', 'run'];
+
+/**
+ * @typedef {Object} ErrorRecord
+ * @property {'error'} type
+ * @property {Date} time
+ * @property {String} code A `VERSIONISTA:*` code, e.g.
+ *           `VERSIONISTA:NETWORK_ERROR`, `VERSIONISTA:SCHEMA_MISMATCH`
+ * @property {String} [originalCode] The underlying error's code, if it was
+ *           something more specific (e.g. `ECONNRESET`)
+ * @property {String} phase One of `PHASES`
+ * @property {String} [account]
+ * @property {String} [siteId]
+ * @property {String} [pageId]
+ * @property {String} [versionId]
+ * @property {String} [diffType]
+ * @property {String} [url]
+ * @property {String} message
+ * @property {String} [stack] Only included for errors without a known code
+ */
+
+/**
+ * Attach information about what was being worked on to an error, so it can be
+ * reported with `createErrorRecord()`. Information that is already attached
+ * (from closer to where the error happened) is kept.
+ * @param {Error} error
+ * @param {Object} context
+ * @param {String} [context.phase]
+ * @param {String} [context.siteId]
+ * @param {String} [context.pageId]
+ * @param {String} [context.versionId]
+ * @param {String} [context.diffType]
+ * @param {String} [context.url]
+ * @returns {Error} The same error
+ */
+function addErrorContext (error, context) {
+  if (error && typeof error === 'object') {
+    error.context = Object.assign({}, context, error.context);
+  }
+  return error;
+}
+
+/**
+ * Get a stable `VERSIONISTA:*` code for an error.
+ * @param {Error|String} error
+ * @returns {String}
+ */
+function errorCode (error) {
+  const code = error && error.code;
+  if (typeof code === 'string' && code.startsWith('VERSIONISTA:')) {
+    return code;
+  }
+  else if (NETWORK_ERRORS.includes(code)) {
+    return 'VERSIONISTA:NETWORK_ERROR';
+  }
+  else if (code && error.syscall && error.path) {
+    return 'VERSIONISTA:FILE_ERROR';
+  }
+  return 'VERSIONISTA:UNKNOWN';
+}
+
+/**
+ * Create a record for an error report.
+ * @param {Error|String} error
+ * @param {Object} [context] Same as the context for `addErrorContext()`
+ * @returns {ErrorRecord}
+ */
+function createErrorRecord (error, context = {}) {
+  const details = Object.assign({}, context, error && error.context);
+  const code = errorCode(error);
+  const record = {
+    type: 'error',
+    time: new Date(),
+    code,
+    originalCode: error && error.code && error.code !== code ? error.code : undefined,
+    phase: details.phase || 'run',
+    account: details.account,
+    siteId: details.siteId,
+    pageId: details.pageId,
+    versionId: details.versionId,
+    diffType: details.diffType,
+    url: details.url,
+    message: typeof error === 'string' ? error : error.message
+  };
+  if (code === 'VERSIONISTA:UNKNOWN' && error.stack) {
+    record.stack = error.stack;
+  }
+  return record;
+}
+
+/**
+ * Read an error report written by scrape-versionista's `--errors` option.
+ * @param {String} filePath
+ * @returns {{run: Object, errors: ErrorRecord[]}} `run` describes the run
+ *          that wrote the report (its `parameters` are the options it used).
+ */
+function readErrorReport (filePath) {
+  const report = {run: null, errors: []};
+  fs.readFileSync(filePath, 'utf8').split('\n').forEach((line, index) => {
+    if (!line.trim()) return;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    }
+    catch (error) {
+      throw new Error(`${filePath}:${index + 1}: not a JSON error record (was this written by an older version of scrape-versionista?)`);
+    }
+
+    if (record.type === 'run') {
+      report.run = record;
+    }
+    else if (record.type === 'error') {
+      report.errors.push(record);
+    }
+  });
+  return report;
+}
+
+/**
+ * Determine which sites, pages, and versions need to be scraped again to retry
+ * the failures in an error report. Failures listing a site's pages retry the
+ * whole site, failures listing a page's versions retry the whole page, and
+ * failures downloading content or diffs retry just those versions. Failures
+ * that aren't tied to a site (e.g. listing the sites) retry everything.
+ * @param {ErrorRecord[]} errors
+ * @returns {RetryFilter}
+ */
+function createRetryFilter (errors) {
+  const sites = new Set();
+  const wholeSites = new Set();
+  const pages = new Set();
+  const wholePages = new Set();
+  const versions = new Set();
+  let everything = false;
+  let skipped = 0;
+
+  errors.forEach(error => {
+    if (!error.siteId) {
+      if (error.phase === 'listing') {
+        everything = true;
+      }
+      else {
+        skipped++;
+      }
+      return;
+    }
+
+    sites.add(String(error.siteId));
+    if (!error.pageId) {
+      wholeSites.add(String(error.siteId));
+      return;
+    }
+
+    const pageKey = `${error.siteId}/${error.pageId}`;
+    pages.add(pageKey);
+    if (error.versionId && ['content', 'diff'].includes(error.phase)) {
+      versions.add(String(error.versionId));
+    }
+    else {
+      wholePages.add(pageKey);
+    }
+  });
+
+  /**
+   * @typedef {Object} RetryFilter
+   * @property {Boolean} everything Whether everything needs to be retried
+   * @property {Number} skipped Number of errors that can't be retried
+   * @property {Number} siteCount
+   * @property {Number} pageCount
+   * @property {Number} versionCount
+   * @property {(site: VersionistaSite) => Boolean} site
+   * @property {(site: VersionistaSite, page: VersionistaPage) => Boolean} page
+   * @property {(site: VersionistaSite, page: VersionistaPage, version: VersionistaVersion) => Boolean} version
+   */
+  return {
+    everything,
+    skipped,
+    siteCount: sites.size,
+    pageCount: pages.size,
+    versionCount: versions.size,
+    site: site => everything || sites.has(String(site.id)),
+    page: (site, page) => everything ||
+      wholeSites.has(String(site.id)) ||
+      pages.has(`${site.id}/${page.id}`),
+    version: (site, page, version) => everything ||
+      wholeSites.has(String(site.id)) ||
+      wholePages.has(`${site.id}/${page.id}`) ||
+      versions.has(String(version.versionId))
+  };
+}
+
+/**
+ * Format an error record as human-readable text.
+ * @param {ErrorRecord} record
+ * @returns {String}
+ */
+function formatErrorRecord (record) {
+  const ids = [record.siteId, record.pageId, record.versionId]
+    .filter(id => id != null)
+    .join('/');
+  const where = [record.phase, ids, record.url].filter(part => part).join(' ');
+  return `${record.code} (${where}): ${record.message}`;
+}
+
+module.exports = {
+  PHASES,
+  addErrorContext,
+  errorCode,
+  createErrorRecord,
+  readErrorReport,
+  createRetryFilter,
+  formatErrorRecord
+};
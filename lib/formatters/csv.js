@@ -1,7 +1,10 @@
 'use strict';
 
 require('../polyfill');
-const {compareMany, ascend} = require('../tools');
+const {compareMany, ascend, descend} = require('../tools');
+const {DIFF_TYPES, DEFAULT_DIFF_TYPES, diffTypes, isLocalDiff} = require('../diff-types');
+const ColumnSet = require('../csv-columns');
+const flatten = require('../flatten');
 const crypto = require('crypto');
 // TODO: UUID assignment should happen independently of formatting
 const uuid = require('../uuid.js');
@@ -12,93 +15,217 @@ module.exports = formatCsv;
 
 /**
  * Converts scraped site data to CSV format.
+ * @param {VersionistaSite[]} sites
+ * @param {Object} [options]
+ * @param {Date} [options.outputTime] Time to list as the output time. Defaults
+ *        to the current time.
+ * @param {String|String[]} [options.columns] Columns to include: names of
+ *        columns and presets in `formatCsv.columns` (see `csv-columns.js`).
+ *        Defaults to the `task-sheet` preset.
+ * @param {String[]} [options.diffTypes] Diff types that were fetched (see
+ *        `diff-types.js`). Presets include length and hash columns for types
+ *        other than `only` and `text_only` if they were fetched.
+ * @param {Boolean} [options.includeDiffs] Presets include diff file columns.
+ * @param {Boolean} [options.includeContent] Presets include version file and
+ *        hash columns.
+ * @param {Boolean} [options.includePriority] Presets include columns for
+ *        versions' significance scores (see `significance.js`), and the most
+ *        significant changes are sorted first.
+ * @param {Boolean} [options.includeWatchedTerms] Presets include columns for
+ *        the terms in a watchlist that versions added or removed (see
+ *        `watchlist.js`).
  */
 function formatCsv (sites, options = {}) {
   const versionType = options.versionType || 'versions';
+  const selectedColumns = columns.resolve(options.columns, options);
 
-  const rows = [];
-  const headerRow = headers.slice();
-
-  if (options.includeDiffs) {
-    headerRow.push('Diff File');
-    headerRow.push('Text Diff File');
-  }
-  if (options.includeContent) {
-    headerRow.push('Version File');
-    headerRow.push('Version Hash');
-  }
-
-  // TODO: this would be better as a flatmap
+  const records = [];
   sites.forEach(site => {
     site.pages && site.pages.forEach(page => {
       page[versionType] && page[versionType].forEach(version => {
-        rows.push(rowForVersion(site, page, version, options));
+        records.push({site, page, version});
       });
     });
   });
 
-  return toCsvString([headerRow, ...(sortRows(rows))]);
+  sortRecords(records, options);
+  return toCsvString(columns.rows(records, selectedColumns, options));
 };
 
-const headers = [
-  'Index',
-  'UUID',
-  'Output Date/Time',
-  'Agency',
-  'Site Name',
-  'Page name',
-  'URL',
-  'Page View URL',
-  'Last Two - Side by Side',
-  'Latest to Base - Side by Side',
-  'Date Found - Latest',
-  'Date Found - Base',
-  'Diff Length',
-  'Diff Hash',
-  'Text Diff Length',
-  'Text Diff Hash'
-];
-
-function rowForVersion (site, page, version, options) {
-  const diff = version.diff || {};
-  const textDiff = version.textDiff || {};
-
-  const row = [
-    '',
-    uuid(),
-    formatDate(new Date(), true),
-    agencyForSite(site),
-    site.name,
-    page.title,
-    page.url,
-    page.versionistaUrl,
-    version.diffWithPreviousSafeUrl || version.diffWithPreviousUrl || '[initial version]',
-    version.diffWithFirstSafeUrl || version.diffWithFirstUrl || '[initial version]',
-    formatDate(version.diffWithPreviousSafeDate || version.diffWithPreviousDate) || '[initial version]',
-    formatDate(version.diffWithFirstSafeDate || version.diffWithFirstDate) || '[initial version]',
-    diff.length,
-    diff.hash !== emptyHash ? diff.hash : '',
-    textDiff.length,
-    textDiff.hash !== emptyHash ? textDiff.hash : ''
-  ];
-
-  if (options.includeDiffs) {
-    row.push(version.diff ? version.diff.path : '');
-    row.push(version.textDiff ? version.textDiff.path : '');
-  }
+// The diff types that were fetched, or the default types.
+const fetchedDiffTypes = options => diffTypes(options.diffTypes);
 
-  if (options.includeContent) {
-    if (version.hasContent) {
-      row.push(version.filePath);
+// Length, hash, and file columns for each type of diff, e.g. `diff-hash` or
+// `full-text-diff-length`.
+const diffColumns = Object.values(DIFF_TYPES).map(type => {
+  const name = type.label.toLowerCase().replace(/\s+/g, '-');
+  const isDefault = DEFAULT_DIFF_TYPES.includes(type.name);
+  const wasFetched = options => fetchedDiffTypes(options).includes(type);
+  const getDiff = record => record.version[type.field] || {};
+  return {
+    type,
+    length: {
+      name: `${name}-length`,
+      header: `${type.label} Length`,
+      value: record => getDiff(record).length,
+      when: isDefault ? null : wasFetched
+    },
+    hash: {
+      name: `${name}-hash`,
+      header: `${type.label} Hash`,
+      value: record => {
+        const hash = getDiff(record).hash;
+        return hash !== emptyHash ? hash : '';
+      },
+      when: isDefault ? null : wasFetched
+    },
+    file: {
+      name: `${name}-file`,
+      header: `${type.label} File`,
+      value: record => record.version[type.field] ? record.version[type.field].path : '',
+      when: options => !!options.includeDiffs && (isDefault || wasFetched(options))
     }
-    else {
-      row.push('');
-    }
-    row.push(version.hash || '');
-  }
+  };
+});
 
-  return row;
-}
+const defaultDiffColumns = diffColumns.filter(item => DEFAULT_DIFF_TYPES.includes(item.type.name));
+const extraDiffColumns = diffColumns.filter(item => !DEFAULT_DIFF_TYPES.includes(item.type.name));
+
+/**
+ * Columns that CSV output can include, and presets of them:
+ * - `task-sheet` The sheets analysts work from. (This is the default.)
+ * - `full` The task sheet columns plus all the metadata about each version.
+ * - `minimal` Just enough to find and review each change.
+ * @type {ColumnSet}
+ */
+const columns = new ColumnSet([
+  {name: 'index', header: 'Index', value: (record, index) => index + 1},
+  {name: 'uuid', header: 'UUID', value: () => uuid()},
+  {
+    name: 'output-time',
+    header: 'Output Date/Time',
+    value: (record, index, options) => formatDate(options.outputTime || new Date(), true)
+  },
+  {name: 'agency', header: 'Agency', value: record => agencyForSite(record.site)},
+  {name: 'site-name', header: 'Site Name', value: record => record.site.name},
+  {name: 'page-name', header: 'Page name', value: record => record.page.title},
+  {name: 'url', header: 'URL', value: record => record.page.url},
+  {name: 'page-view-url', header: 'Page View URL', value: record => record.page.versionistaUrl},
+  {
+    name: 'last-two',
+    header: 'Last Two - Side by Side',
+    value: ({version}) => version.diffWithPreviousSafeUrl || version.diffWithPreviousUrl || '[initial version]'
+  },
+  {
+    name: 'latest-to-base',
+    header: 'Latest to Base - Side by Side',
+    value: ({version}) => version.diffWithFirstSafeUrl || version.diffWithFirstUrl || '[initial version]'
+  },
+  {
+    name: 'date-found-latest',
+    header: 'Date Found - Latest',
+    value: ({version}) => formatDate(version.diffWithPreviousSafeDate || version.diffWithPreviousDate) || '[initial version]'
+  },
+  {
+    name: 'date-found-base',
+    header: 'Date Found - Base',
+    value: ({version}) => formatDate(version.diffWithFirstSafeDate || version.diffWithFirstDate) || '[initial version]'
+  },
+  ...flatten(diffColumns.map(item => [item.length, item.hash, item.file])),
+  {
+    name: 'version-file',
+    header: 'Version File',
+    value: ({version}) => version.hasContent ? version.filePath : '',
+    when: options => !!options.includeContent
+  },
+  {
+    name: 'version-hash',
+    header: 'Version Hash',
+    value: ({version}) => version.hash || '',
+    when: options => !!options.includeContent
+  },
+  {
+    name: 'priority',
+    header: 'Priority',
+    value: ({version}) => version.priority,
+    when: options => !!options.includePriority
+  },
+  {
+    name: 'priority-reasons',
+    header: 'Priority Reasons',
+    value: ({version}) => (version.priorityReasons || []).join('; '),
+    when: options => !!options.includePriority
+  },
+  {
+    name: 'watched-terms-added',
+    header: 'Watched Terms Added',
+    value: ({version}) => version.watchedTerms ? version.watchedTerms.added.join('; ') : '',
+    when: options => !!options.includeWatchedTerms
+  },
+  {
+    name: 'watched-terms-removed',
+    header: 'Watched Terms Removed',
+    value: ({version}) => version.watchedTerms ? version.watchedTerms.removed.join('; ') : '',
+    when: options => !!options.includeWatchedTerms
+  },
+  {name: 'site-id', header: 'Site ID', value: ({version}) => version.siteId},
+  {name: 'page-id', header: 'Page ID', value: ({version}) => version.pageId},
+  {name: 'version-id', header: 'Version ID', value: ({version}) => version.versionId},
+  {name: 'version-url', header: 'Version URL', value: ({version}) => version.url},
+  {name: 'version-date', header: 'Version Date', value: ({version}) => formatDate(version.date)},
+  {name: 'version-title', header: 'Version Title', value: ({version}) => version.title},
+  {name: 'status', header: 'Status', value: ({version}) => version.status},
+  {name: 'content-type', header: 'Content Type', value: ({version}) => version.contentType},
+  {name: 'length', header: 'Length', value: ({version}) => version.length}
+], {
+  'task-sheet': [
+    'index',
+    'uuid',
+    'output-time',
+    'agency',
+    'site-name',
+    'page-name',
+    'url',
+    'page-view-url',
+    'last-two',
+    'latest-to-base',
+    'date-found-latest',
+    'date-found-base',
+    ...flatten(defaultDiffColumns.map(item => [item.length.name, item.hash.name])),
+    ...flatten(extraDiffColumns.map(item => [item.length.name, item.hash.name])),
+    ...defaultDiffColumns.map(item => item.file.name),
+    ...extraDiffColumns.map(item => item.file.name),
+    'version-file',
+    'version-hash',
+    'priority',
+    'priority-reasons',
+    'watched-terms-added',
+    'watched-terms-removed'
+  ],
+  get full () {
+    return [
+      ...this['task-sheet'],
+      'site-id',
+      'page-id',
+      'version-id',
+      'version-url',
+      'version-date',
+      'version-title',
+      'status',
+      'content-type',
+      'length'
+    ];
+  },
+  minimal: [
+    'index',
+    'site-name',
+    'page-name',
+    'url',
+    'last-two',
+    'date-found-latest',
+    'text-diff-hash'
+  ]
+});
 
 function digits (number, length = 2, includeSign = false) {
   let sign = includeSign ? '+' : '';
@@ -176,26 +303,53 @@ function toCsvString (rows) {
     .join('\n');
 }
 
-// Standard comparator for sorting CSV output rows.
-const compareRows =  compareMany(
-  ascend(15),                   // text diff hash
-  ascend(13),                   // source diff hash
-  ascend(x => new Date(x[10]))  // capture time
+// Get a record's diff hash for grouping records with the same changes. Hashes
+// of local diffs can't be compared with Versionista's, so they aren't grouped.
+function groupingHash (record, diffType) {
+  const {type, hash} = diffColumns.find(item => item.type.name === diffType);
+  if (isLocalDiff(record.version[type.field])) return '';
+  return hash.value(record);
+}
+
+// Standard comparator for sorting CSV output records.
+const compareRecords = compareMany(
+  ascend(record => groupingHash(record, 'text_only')),
+  ascend(record => groupingHash(record, 'only')),
+  ascend(({version}) => version.diffWithPreviousSafeDate || version.diffWithPreviousDate)
 );
 
-function updateIndexColumn (value, index) {
-  value[0] = index + 1;
-  return value;
-}
+/**
+ * Sort CSV output records. With `options.includePriority`, records are sorted
+ * by priority, but records with the same text diff hash are kept together
+ * (ordered by the highest priority in the group). Records with local diffs
+ * are never grouped.
+ * @param {Array<{site, page, version}>} records
+ * @param {Object} [options]
+ * @returns {Array<{site, page, version}>}
+ */
+function sortRecords (records, options = {}) {
+  let comparator = compareRecords;
+  if (options.includePriority) {
+    const groupPriorities = new Map();
+    const isLocal = record => isLocalDiff(record.version[DIFF_TYPES.text_only.field]);
+    records.forEach(record => {
+      if (isLocal(record)) return;
+      const hash = groupingHash(record, 'text_only');
+      const priority = record.version.priority || 0;
+      groupPriorities.set(hash, Math.max(groupPriorities.get(hash) || 0, priority));
+    });
+    comparator = compareMany(
+      descend(record => isLocal(record)
+        ? record.version.priority || 0
+        : groupPriorities.get(groupingHash(record, 'text_only'))),
+      compareRecords
+    );
+  }
 
-function sortRows (rows) {
-  return rows
-    .sort(compareRows)
-    .map(updateIndexColumn);
+  return records.sort(comparator);
 }
 
-formatCsv.headers = headers;
+formatCsv.columns = columns;
 formatCsv.formatDate = formatDate;
 formatCsv.toCsvString = toCsvString;
-formatCsv.sortRows = sortRows;
 
@@ -1,13 +1,25 @@
 'use strict';
 
+const fs = require('fs');
+const split = require('split');
 // TODO: UUID assignment should happen independently of formatting
 const uuid = require('../uuid.js');
 
+// Version fields that hold dates and need to be revived when reading.
+const dateFields = [
+  'date',
+  'lastDate',
+  'diffWithPreviousDate',
+  'diffWithFirstDate',
+  'diffWithPreviousSafeDate',
+  'diffWithFirstSafeDate'
+];
+
 /**
  * Converts scraped site data to JSON Stream format.
  * Each line is an independent JSON object representing a version.
  */
-module.exports = function formatJsonStream (sites, options = {}) {
+function formatJsonStream (sites, options = {}) {
   const versionType = options.versionType || 'versions';
 
   const rows = [];
@@ -16,17 +28,7 @@ module.exports = function formatJsonStream (sites, options = {}) {
   sites.forEach(site => {
     site.pages && site.pages.forEach(page => {
       page[versionType] && page[versionType].forEach(version => {
-        const formatted = Object.assign({
-          account: options.account,
-          siteName: site.name,
-          agency: agencyForSite(site),
-          versionistaSiteUrl: site.url,
-          versionistaPageUrl: page.versionistaUrl,
-          pageUrl: page.url,
-          pageTitle: page.title
-        }, version);
-
-        rows.push(formatted);
+        rows.push(formatVersion(site, page, version, options));
       });
     });
   });
@@ -34,6 +36,160 @@ module.exports = function formatJsonStream (sites, options = {}) {
   return rows.map(row => JSON.stringify(row)).join('\n');
 }
 
+/**
+ * Create the JSON Stream representation of a single version.
+ * @param {VersionistaSite} site
+ * @param {VersionistaPage} page
+ * @param {VersionistaVersion} version
+ * @param {Object} [options]
+ * @returns {Object}
+ */
+function formatVersion (site, page, version, options = {}) {
+  return Object.assign({
+    account: options.account,
+    siteName: site.name,
+    agency: agencyForSite(site),
+    versionistaSiteUrl: site.url,
+    versionistaPageUrl: page.versionistaUrl,
+    pageUrl: page.url,
+    pageTitle: page.title
+  }, version);
+}
+
+/**
+ * Writes versions in JSON Stream format to a file as they become available,
+ * rather than formatting a whole account's worth of data at once.
+ */
+class JsonStreamWriter {
+  /**
+   * Creates an instance of JsonStreamWriter.
+   * @param {String} filePath File to write to.
+   * @param {Object} [options] Same as the options for `formatJsonStream()`
+   * @param {Object} [writerOptions]
+   * @param {Boolean} [writerOptions.lazy=false] If true, don't create the file
+   *        until the first version is written.
+   */
+  constructor (filePath, options = {}, {lazy = false} = {}) {
+    this.path = filePath;
+    this.options = options;
+    this.count = 0;
+    this._stream = null;
+    this._error = null;
+    // Rejecters for promises waiting on the stream, so they fail if it does.
+    this._waiting = new Set();
+    if (!lazy) this._open();
+  }
+
+  /**
+   * Write a page's versions.
+   * @param {VersionistaSite} site
+   * @param {VersionistaPage} page
+   * @param {VersionistaVersion[]} versions
+   * @returns {Promise} Resolves when the stream is ready for more data.
+   */
+  write (site, page, versions) {
+    if (this._error) return Promise.reject(this._error);
+    if (!versions.length) return Promise.resolve();
+
+    if (!this._stream) {
+      this._open();
+    }
+
+    const text = versions
+      .map(version => JSON.stringify(formatVersion(site, page, version, this.options)) + '\n')
+      .join('');
+    this.count += versions.length;
+
+    if (this._stream.write(text)) {
+      return Promise.resolve();
+    }
+    return this._wait(resolve => this._stream.once('drain', resolve));
+  }
+
+  /**
+   * Finish writing. If the writer is lazy and nothing was written, no file is
+   * created.
+   * @returns {Promise}
+   */
+  end () {
+    if (this._error) return Promise.reject(this._error);
+    if (!this._stream) return Promise.resolve();
+
+    return this._wait(resolve => this._stream.end(resolve));
+  }
+
+  _open () {
+    this._stream = fs.createWriteStream(this.path);
+    // Without a listener, an error (e.g. a full disk) would crash the process.
+    this._stream.on('error', error => {
+      this._error = error;
+      this._waiting.forEach(reject => reject(error));
+      this._waiting.clear();
+    });
+  }
+
+  // Wait for something that `start` kicks off, or for the stream to fail.
+  _wait (start) {
+    return new Promise((resolve, reject) => {
+      this._waiting.add(reject);
+      start(() => {
+        this._waiting.delete(reject);
+        resolve();
+      });
+    });
+  }
+}
+
+/**
+ * Read a JSON Stream file back into the same site/page/version structure that
+ * the formatters take, e.g. to convert it to CSV after a scrape.
+ * @param {String} filePath
+ * @returns {Promise<VersionistaSite[]>}
+ */
+function readJsonStream (filePath) {
+  return new Promise((resolve, reject) => {
+    const sites = new Map();
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .pipe(split(line => (line === '' ? undefined : JSON.parse(line))))
+      .on('error', reject)
+      .on('data', row => {
+        dateFields.forEach(field => {
+          if (row[field]) row[field] = new Date(row[field]);
+        });
+
+        let site = sites.get(row.versionistaSiteUrl);
+        if (!site) {
+          site = {name: row.siteName, url: row.versionistaSiteUrl, pages: new Map()};
+          sites.set(row.versionistaSiteUrl, site);
+        }
+
+        let page = site.pages.get(row.versionistaPageUrl);
+        if (!page) {
+          page = {
+            url: row.pageUrl,
+            versionistaUrl: row.versionistaPageUrl,
+            title: row.pageTitle,
+            versions: []
+          };
+          site.pages.set(row.versionistaPageUrl, page);
+        }
+
+        page.versions.push(row);
+      })
+      .on('end', () => {
+        resolve(Array.from(sites.values()).map(site => Object.assign(site, {
+          pages: Array.from(site.pages.values())
+        })));
+      });
+  });
+}
+
 function agencyForSite (site) {
   return site.name.split('-')[0].trim();
 }
+
+module.exports = formatJsonStream;
+formatJsonStream.formatVersion = formatVersion;
+formatJsonStream.JsonStreamWriter = JsonStreamWriter;
+formatJsonStream.readJsonStream = readJsonStream;
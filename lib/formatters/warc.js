@@ -0,0 +1,346 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const zlib = require('zlib');
+const uuid = require('../uuid.js');
+const {isLocalDiff} = require('../diff-types');
+const packageInfo = require('../../package.json');
+
+const CRLF = '\r\n';
+
+// Headers that describe how Versionista sent a body, not the body itself.
+// Bodies are stored decoded, so these would make the HTTP message invalid.
+const TRANSPORT_HEADERS = [
+  'connection',
+  'content-encoding',
+  'content-length',
+  'keep-alive',
+  'transfer-encoding'
+];
+
+/**
+ * Converts scraped site data to WARC/1.1 format. Each version with saved
+ * content (see `--save-content`) becomes a `response` record, and every
+ * version gets a `metadata` record with its Versionista IDs and diff hashes.
+ * A `warcinfo` record describing the file comes first.
+ *
+ * Unlike the other formatters, this returns a Buffer.
+ *
+ * @param {VersionistaSite[]} sites
+ * @param {Object} [options]
+ * @param {String} [options.account]
+ * @param {String} [options.versionType='versions']
+ * @param {String} [options.basePath] Directory that versions' `filePath`s are
+ *        relative to. Defaults to the working directory.
+ * @param {Boolean} [options.gzip=false] Compress each record separately, as
+ *        in a `.warc.gz` file.
+ * @param {Date} [options.outputTime] Date of the `warcinfo` record. Defaults
+ *        to the current time.
+ * @returns {Buffer}
+ */
+function formatWarc (sites, options = {}) {
+  const versionType = options.versionType || 'versions';
+  const records = [formatWarcInfo(options)];
+
+  sites.forEach(site => {
+    site.pages && site.pages.forEach(page => {
+      page[versionType] && page[versionType].forEach(version => {
+        records.push(...formatVersionRecords(site, page, version, options));
+      });
+    });
+  });
+
+  return Buffer.concat(records);
+}
+
+/**
+ * Create the WARC records for a single version.
+ * @param {VersionistaSite} site
+ * @param {VersionistaPage} page
+ * @param {VersionistaVersion} version
+ * @param {Object} [options] Same as the options for `formatWarc()`
+ * @returns {Buffer[]}
+ */
+function formatVersionRecords (site, page, version, options = {}) {
+  const targetUri = page.url || version.pageUrl;
+  const date = formatDate(version.date);
+  const records = [];
+
+  let responseId = null;
+  const body = readBody(version, options);
+  if (body) {
+    responseId = recordId();
+    const httpBlock = Buffer.concat([
+      Buffer.from(formatHttpHead(version, body), 'utf8'),
+      body
+    ]);
+    records.push(formatRecord({
+      'WARC-Type': 'response',
+      'WARC-Record-ID': responseId,
+      'WARC-Date': date,
+      'WARC-Target-URI': targetUri,
+      'WARC-Payload-Digest': digest(body),
+      'Content-Type': 'application/http;msgtype=response'
+    }, httpBlock, options));
+  }
+
+  const fields = Object.assign(
+    {'versionista-account': options.account || version.account},
+    metadataFields(site, page, version));
+  if (version.filePath && !body) {
+    fields['missing-content'] = version.filePath;
+  }
+
+  const metadataHeaders = {
+    'WARC-Type': 'metadata',
+    'WARC-Record-ID': recordId(),
+    'WARC-Date': date,
+    'WARC-Target-URI': targetUri,
+    'Content-Type': 'application/warc-fields'
+  };
+  if (responseId) {
+    metadataHeaders['WARC-Concurrent-To'] = responseId;
+  }
+  records.push(formatRecord(
+    metadataHeaders,
+    Buffer.from(formatFields(fields), 'utf8'),
+    options));
+
+  return records;
+}
+
+/**
+ * Create a `warcinfo` record describing the software and format.
+ * @param {Object} [options] Same as the options for `formatWarc()`
+ * @returns {Buffer}
+ */
+function formatWarcInfo (options = {}) {
+  const fields = {
+    software: `${packageInfo.name}/${packageInfo.version}`,
+    format: 'WARC File Format 1.1',
+    conformsTo: 'https://iipc.github.io/warc-specifications/specifications/warc-format/warc-1.1/',
+    description: 'Versions of web pages captured by Versionista'
+  };
+  if (options.account) {
+    fields['versionista-account'] = options.account;
+  }
+
+  return formatRecord({
+    'WARC-Type': 'warcinfo',
+    'WARC-Record-ID': recordId(),
+    'WARC-Date': formatDate(options.outputTime),
+    'Content-Type': 'application/warc-fields'
+  }, Buffer.from(formatFields(fields), 'utf8'), options);
+}
+
+function metadataFields (site, page, version) {
+  const diff = version.diff || {};
+  const textDiff = version.textDiff || {};
+  // Hashes of local diffs don't match Versionista's, so label them.
+  const diffPrefix = isLocalDiff(diff) ? 'local-' : '';
+  const textDiffPrefix = isLocalDiff(textDiff) ? 'local-' : '';
+  return {
+    'versionista-site-name': site.name || version.siteName,
+    'versionista-site-id': version.siteId,
+    'versionista-page-id': version.pageId,
+    'versionista-version-id': version.versionId,
+    'versionista-url': version.url,
+    'versionista-page-url': page.versionistaUrl || version.versionistaPageUrl,
+    'content-hash': version.hash && `sha256:${version.hash}`,
+    'content-length': version.length,
+    'error-code': version.errorCode,
+    'diff-with-previous-url': version.diffWithPreviousUrl,
+    'diff-with-first-url': version.diffWithFirstUrl,
+    [`${diffPrefix}diff-hash`]: diff.hash && `sha256:${diff.hash}`,
+    [`${diffPrefix}diff-length`]: diff.length,
+    [`${textDiffPrefix}text-diff-hash`]: textDiff.hash && `sha256:${textDiff.hash}`,
+    [`${textDiffPrefix}text-diff-length`]: textDiff.length
+  };
+}
+
+function readBody (version, options) {
+  if (!version.filePath) return null;
+
+  const filePath = path.resolve(options.basePath || process.cwd(), version.filePath);
+  try {
+    return fs.readFileSync(filePath);
+  }
+  catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+function formatHttpHead (version, body) {
+  const status = version.status || 200;
+  const lines = [`HTTP/1.1 ${status} ${http.STATUS_CODES[status] || ''}`.trim()];
+
+  const headers = version.headers || {};
+  Object.keys(headers).forEach(name => {
+    if (TRANSPORT_HEADERS.includes(name.toLowerCase())) return;
+
+    const values = Array.isArray(headers[name]) ? headers[name] : [headers[name]];
+    values.forEach(value => lines.push(`${name}: ${cleanValue(value)}`));
+  });
+  if (!Object.keys(headers).some(name => name.toLowerCase() === 'content-type') && version.contentType) {
+    lines.push(`Content-Type: ${cleanValue(version.contentType)}`);
+  }
+  lines.push(`Content-Length: ${body.length}`);
+
+  return lines.join(CRLF) + CRLF + CRLF;
+}
+
+function formatRecord (headers, block, options) {
+  headers['WARC-Block-Digest'] = digest(block);
+  headers['Content-Length'] = block.length;
+
+  const head = ['WARC/1.1']
+    .concat(Object.keys(headers).map(name => `${name}: ${headers[name]}`))
+    .join(CRLF) + CRLF + CRLF;
+
+  const record = Buffer.concat([
+    Buffer.from(head, 'utf8'),
+    block,
+    Buffer.from(CRLF + CRLF, 'utf8')
+  ]);
+
+  return options.gzip ? zlib.gzipSync(record) : record;
+}
+
+function formatFields (fields) {
+  return Object.keys(fields)
+    .filter(name => fields[name] != null && fields[name] !== '')
+    .map(name => `${name}: ${cleanValue(fields[name])}${CRLF}`)
+    .join('');
+}
+
+function formatDate (date) {
+  date = date ? new Date(date) : new Date();
+  return date.toISOString().replace(/\.\d+Z$/, 'Z');
+}
+
+// Header and field values can't contain line breaks.
+function cleanValue (value) {
+  return String(value).replace(/[\r\n]+/g, ' ');
+}
+
+function recordId () {
+  return `<urn:uuid:${uuid()}>`;
+}
+
+function digest (data) {
+  const hash = crypto.createHash('sha1').update(data).digest();
+  return `sha1:${base32(hash)}`;
+}
+
+// RFC 4648 base32, which is conventional for WARC digests.
+function base32 (buffer) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += alphabet[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += alphabet[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Writes versions to a WARC file as they become available, rather than
+ * holding a whole account's worth of content in memory at once.
+ */
+class WarcWriter {
+  /**
+   * Creates an instance of WarcWriter.
+   * @param {String} filePath File to write to. If it ends in `.gz`, records
+   *        are compressed (unless `options.gzip` is set to false).
+   * @param {Object} [options] Same as the options for `formatWarc()`
+   */
+  constructor (filePath, options = {}) {
+    this.path = filePath;
+    this.options = Object.assign({gzip: filePath.endsWith('.gz')}, options);
+    this.count = 0;
+    this._error = null;
+    // Rejecters for promises waiting on the stream, so they fail if it does.
+    this._waiting = new Set();
+    this._stream = fs.createWriteStream(filePath);
+    // Without a listener, an error (e.g. a full disk) would crash the process.
+    this._stream.on('error', error => {
+      this._error = error;
+      this._waiting.forEach(reject => reject(error));
+      this._waiting.clear();
+    });
+    this._stream.write(formatWarcInfo(this.options));
+  }
+
+  /**
+   * Write a page's versions.
+   * @param {VersionistaSite} site
+   * @param {VersionistaPage} page
+   * @param {VersionistaVersion[]} versions
+   * @returns {Promise} Resolves when the stream is ready for more data.
+   */
+  write (site, page, versions) {
+    if (this._error) return Promise.reject(this._error);
+    if (!versions.length) return Promise.resolve();
+
+    const data = Buffer.concat(versions.reduce((records, version) =>
+      records.concat(formatVersionRecords(site, page, version, this.options)), []));
+    this.count += versions.length;
+
+    if (this._stream.write(data)) {
+      return Promise.resolve();
+    }
+    return this._wait(resolve => this._stream.once('drain', resolve));
+  }
+
+  /**
+   * Write all the versions of several sites.
+   * @param {VersionistaSite[]} sites
+   * @returns {Promise}
+   */
+  writeSites (sites) {
+    const versionType = this.options.versionType || 'versions';
+    return sites.reduce((previous, site) => {
+      return (site.pages || []).reduce((written, page) => {
+        return written.then(() => this.write(site, page, page[versionType] || []));
+      }, previous);
+    }, Promise.resolve());
+  }
+
+  /**
+   * Finish writing.
+   * @returns {Promise}
+   */
+  end () {
+    if (this._error) return Promise.reject(this._error);
+    return this._wait(resolve => this._stream.end(resolve));
+  }
+
+  // Wait for something that `start` kicks off, or for the stream to fail.
+  _wait (start) {
+    return new Promise((resolve, reject) => {
+      this._waiting.add(reject);
+      start(() => {
+        this._waiting.delete(reject);
+        resolve();
+      });
+    });
+  }
+}
+
+module.exports = formatWarc;
+formatWarc.formatVersionRecords = formatVersionRecords;
+formatWarc.formatWarcInfo = formatWarcInfo;
+formatWarc.WarcWriter = WarcWriter;
@@ -0,0 +1,159 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @typedef {Object} HashIndexEntry
+ * @property {String} siteId
+ * @property {String} pageId
+ * @property {String} versionId
+ * @property {Number} size Size of the version as reported by Versionista
+ * @property {String} hash SHA-256 hash of the version's content
+ * @property {Number} length Length of the downloaded content
+ * @property {String} extension File extension for the content, e.g. `.html`
+ * @property {String} [contentType]
+ * @property {Object} [headers]
+ */
+
+/**
+ * An index of the content hashes of versions that were downloaded in previous
+ * runs, so content that is already stored doesn't need to be downloaded again.
+ * The index is a file with one JSON object per line. New entries are appended
+ * as versions are downloaded.
+ *
+ * Lines that are versions from scrape-versionista's json-stream output are
+ * also understood, so an index can be seeded with output from earlier runs:
+ *
+ *   cat scrape/metadata-*.json >> hash-index.jsonl
+ */
+class HashIndex {
+  /**
+   * Creates an instance of HashIndex, loading any entries in an existing file.
+   * @param {String} filePath
+   */
+  constructor (filePath) {
+    this.path = filePath;
+    this._entries = new Map();
+
+    if (fs.existsSync(filePath)) {
+      // The last entry may have been cut off if a run was killed mid-write,
+      // so drop anything after the last complete line.
+      const data = fs.readFileSync(filePath);
+      const validLength = data.lastIndexOf('\n') + 1;
+      if (validLength < data.length) {
+        fs.truncateSync(filePath, validLength);
+      }
+      this._load(data.slice(0, validLength).toString('utf8'));
+    }
+
+    fs.mkdirSync(path.dirname(filePath), {recursive: true});
+    this._file = fs.openSync(filePath, 'a');
+  }
+
+  /**
+   * The number of versions in the index.
+   * @type {Number}
+   */
+  get size () {
+    return this._entries.size;
+  }
+
+  /**
+   * Get the recorded entry for a version, if any.
+   * @param {VersionistaVersion} version
+   * @returns {HashIndexEntry|undefined}
+   */
+  get (version) {
+    return this._entries.get(versionKey(version));
+  }
+
+  /**
+   * Get the recorded entry for a version if its content has not changed size
+   * since it was recorded.
+   * @param {VersionistaVersion} version
+   * @param {Number} size Size of the version as reported by Versionista
+   * @returns {HashIndexEntry|undefined}
+   */
+  match (version, size) {
+    const entry = this.get(version);
+    if (entry && size != null && entry.size === size) {
+      return entry;
+    }
+  }
+
+  /**
+   * Record the content of a version that was just downloaded.
+   * @param {VersionistaVersion} version
+   * @param {Number} size Size of the version as reported by Versionista
+   * @param {Object} content The result of `Versionista#getVersionRawContent`
+   */
+  record (version, size, content) {
+    const existing = this.get(version);
+    if (existing && existing.size === size && existing.hash === content.hash) {
+      return;
+    }
+
+    const entry = {
+      siteId: version.siteId,
+      pageId: version.pageId,
+      versionId: version.versionId,
+      size,
+      hash: content.hash,
+      length: content.length,
+      extension: content.extension,
+      contentType: version.contentType,
+      headers: content.headers
+    };
+    this._entries.set(versionKey(entry), entry);
+    fs.writeSync(this._file, JSON.stringify(entry) + '\n');
+  }
+
+  close () {
+    if (this._file != null) {
+      fs.closeSync(this._file);
+      this._file = null;
+    }
+  }
+
+  _load (text) {
+    text.split('\n').forEach((line, index) => {
+      if (!line) return;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      }
+      catch (error) {
+        throw new Error(`Could not parse hash index entry on line ${index + 1} of ${this.path}`);
+      }
+
+      if (!entry.hash || !entry.versionId) return;
+
+      // Versions from scrape-versionista output have a path instead of an
+      // extension and no separate reported size (the downloaded length should
+      // be the same).
+      if (!('size' in entry)) {
+        entry = {
+          siteId: entry.siteId,
+          pageId: entry.pageId,
+          versionId: entry.versionId,
+          size: entry.length,
+          hash: entry.hash,
+          length: entry.length,
+          extension: entry.filePath ? path.extname(entry.filePath) : '',
+          contentType: entry.contentType,
+          headers: entry.headers
+        };
+      }
+
+      this._entries.set(versionKey(entry), entry);
+    });
+  }
+}
+
+function versionKey (version) {
+  return `${version.siteId}/${version.pageId}/${version.versionId}`;
+}
+
+module.exports = HashIndex;
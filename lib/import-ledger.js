@@ -0,0 +1,97 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @typedef {Object} LedgerEntry
+ * @property {String} host The DB the chunk was imported into (without auth)
+ * @property {String} file Full path of the file the chunk came from
+ * @property {Number} chunkSize Number of versions per chunk in the file
+ * @property {Number} chunk Index of the chunk in the file
+ * @property {Number} versions Number of versions in the chunk
+ * @property {Number} importId ID of the import in web-monitoring-db
+ * @property {Date} date When the import completed
+ */
+
+/**
+ * An append-only record of which chunks of which files import-to-db has
+ * successfully imported into which DBs, so an interrupted or partially failed
+ * import can be resumed without sending everything again. Chunks are
+ * identified by their index, so resuming only works with the same chunk size.
+ */
+class ImportLedger {
+  /**
+   * Creates an instance of ImportLedger, loading entries from any existing
+   * ledger at `filePath`.
+   * @param {String} filePath
+   */
+  constructor (filePath) {
+    this.path = filePath;
+    this._chunks = new Set();
+
+    if (fs.existsSync(filePath)) {
+      // The last entry may have been cut off if the process was killed
+      // mid-write, so drop anything after the last complete line.
+      const data = fs.readFileSync(filePath);
+      const validLength = data.lastIndexOf('\n') + 1;
+      if (validLength < data.length) {
+        fs.truncateSync(filePath, validLength);
+      }
+      this._load(data.slice(0, validLength).toString('utf8'));
+    }
+
+    fs.mkdirSync(path.dirname(filePath), {recursive: true});
+    this._file = fs.openSync(filePath, 'a');
+  }
+
+  /**
+   * Determine whether a chunk was already imported.
+   * @param {Object} chunk
+   * @param {String} chunk.host
+   * @param {String} chunk.file
+   * @param {Number} chunk.chunkSize
+   * @param {Number} chunk.chunk
+   * @returns {Boolean}
+   */
+  has (chunk) {
+    return this._chunks.has(chunkKey(chunk));
+  }
+
+  /**
+   * Record that a chunk was imported.
+   * @param {LedgerEntry} entry
+   */
+  record (entry) {
+    this._chunks.add(chunkKey(entry));
+    fs.writeSync(this._file, JSON.stringify(entry) + '\n');
+  }
+
+  close () {
+    if (this._file != null) {
+      fs.closeSync(this._file);
+      this._file = null;
+    }
+  }
+
+  _load (text) {
+    text.split('\n').forEach((line, index) => {
+      if (!line) return;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      }
+      catch (error) {
+        throw new Error(`Could not parse import ledger entry on line ${index + 1} of ${this.path}`);
+      }
+      this._chunks.add(chunkKey(entry));
+    });
+  }
+}
+
+function chunkKey ({host, file, chunkSize, chunk}) {
+  return `${host} ${file} ${chunkSize} ${chunk}`;
+}
+
+module.exports = ImportLedger;
@@ -0,0 +1,235 @@
+'use strict';
+
+const crypto = require('crypto');
+const {sourceAdditionsPattern} = require('./versionista');
+
+/**
+ * Diff types that can be computed locally from saved version content instead
+ * of being fetched from Versionista's diff host (see `diff-types.js`).
+ */
+const LOCAL_DIFF_TYPES = ['only', 'text_only'];
+
+// Give up on finding a minimal diff after this many line edits and treat the
+// rest of the content as entirely replaced. Keeps memory use bounded for
+// pages that were completely rewritten.
+const MAX_EDITS = 2000;
+
+const textContentTypePattern = /html|text|xml|json|javascript/i;
+
+// Elements that start a new line of text.
+const blockElementPattern = /<\/?(address|article|aside|blockquote|br|dd|div|dl|dt|figcaption|figure|footer|form|h[1-6]|header|hr|li|main|nav|ol|p|pre|section|table|td|th|title|tr|ul)\b[^>]*>/gi;
+
+const entities = {amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' '};
+
+/**
+ * Determine whether a version's content can be diffed locally (that is,
+ * whether it is text).
+ * @param {String} [contentType]
+ * @returns {Boolean}
+ */
+function canDiffLocally (contentType) {
+  return !contentType || textContentTypePattern.test(contentType);
+}
+
+/**
+ * Compute a diff between two versions' content, similar to the diffs from
+ * Versionista. Like Versionista's "changes only" diffs, the result only lists
+ * the lines that were removed (`- `) or added (`+ `), without line numbers, so
+ * the same change on different pages or in different versions has the same
+ * hash.
+ * @param {String|Buffer} previousBody
+ * @param {String|Buffer} body
+ * @param {String} [diffType='only'] `only` for a diff of the source or
+ *        `text_only` for a diff of the text
+ * @returns {VersionistaDiff}
+ */
+function localDiff (previousBody, body, diffType = 'only') {
+  if (!LOCAL_DIFF_TYPES.includes(diffType)) {
+    const error = new Error(`Diffs of type '${diffType}' can't be computed locally`);
+    error.code = 'VERSIONISTA:INVALID_DIFF_TYPE';
+    throw error;
+  }
+
+  const getLines = diffType === 'text_only' ? textLines : sourceLines;
+  const changes = diffLines(getLines(previousBody), getLines(body));
+  const content = formatChanges(changes).trim();
+  return {
+    hash: hash(content),
+    length: content.length,
+    content
+  };
+}
+
+/**
+ * Find the differences between two lists of lines with Myers' algorithm.
+ * @param {String[]} oldLines
+ * @param {String[]} newLines
+ * @returns {Array<{type: ' '|'-'|'+', line: String}>}
+ */
+function diffLines (oldLines, newLines) {
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length &&
+         oldLines[start] === newLines[start]) {
+    start++;
+  }
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start &&
+         oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const unchanged = line => ({type: ' ', line});
+  const oldMiddle = oldLines.slice(start, oldEnd);
+  const newMiddle = newLines.slice(start, newEnd);
+  const middle = shortestEdit(oldMiddle, newMiddle) || [
+    ...oldMiddle.map(line => ({type: '-', line})),
+    ...newMiddle.map(line => ({type: '+', line}))
+  ];
+
+  return [
+    ...oldLines.slice(0, start).map(unchanged),
+    ...middle,
+    ...oldLines.slice(oldEnd).map(unchanged)
+  ];
+}
+
+/**
+ * Get the lines of a version's source, without anything Versionista added.
+ * @param {String|Buffer} body
+ * @returns {String[]}
+ */
+function sourceLines (body) {
+  return body.toString()
+    .replace(sourceAdditionsPattern, '\n')
+    .split(/\r?\n/)
+    .map(line => line.trimEnd())
+    .filter(line => line);
+}
+
+/**
+ * Get the lines of text in a version's content (without markup, scripts,
+ * styles, or extra whitespace).
+ * @param {String|Buffer} body
+ * @returns {String[]}
+ */
+function textLines (body) {
+  return body.toString()
+    .replace(sourceAdditionsPattern, '\n')
+    .replace(/<!--[^]*?-->/g, '')
+    .replace(/<(script|style|noscript|template)\b[^>]*>[^]*?<\/\1\s*>/gi, '')
+    .replace(blockElementPattern, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(#x[\da-f]+|#\d+|\w+);/gi, decodeEntity)
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(line => line);
+}
+
+function decodeEntity (entity, name) {
+  if (name[0] === '#') {
+    const code = name[1] === 'x' || name[1] === 'X'
+      ? parseInt(name.slice(2), 16)
+      : parseInt(name.slice(1), 10);
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+  }
+  return entities[name.toLowerCase()] || entity;
+}
+
+// Changed lines only, grouped into blocks of adjacent changes.
+function formatChanges (changes) {
+  const blocks = [];
+  let removed = [];
+  let added = [];
+  const endBlock = () => {
+    if (removed.length || added.length) {
+      blocks.push([...removed, ...added].join('\n'));
+      removed = [];
+      added = [];
+    }
+  };
+
+  changes.forEach(change => {
+    if (change.type === '-') removed.push(`- ${change.line}`);
+    else if (change.type === '+') added.push(`+ ${change.line}`);
+    else endBlock();
+  });
+  endBlock();
+
+  return blocks.join('\n\n');
+}
+
+// Myers' O(ND) diff. Returns null if the lists differ by more than MAX_EDITS.
+function shortestEdit (a, b) {
+  const max = Math.min(a.length + b.length, MAX_EDITS);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  // Only the diagonals that can be reached at each step are kept, so the
+  // trace for step `d` holds diagonals `-d - 1` to `d + 1`.
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= a.length && y >= b.length) {
+        return backtrack(a, b, trace);
+      }
+    }
+  }
+
+  return null;
+}
+
+function backtrack (a, b, trace) {
+  const changes = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const v = trace[d];
+    const at = k => v[k + d + 1];
+    const k = x - y;
+    const previousK = (k === -d || (k !== d && at(k - 1) < at(k + 1)))
+      ? k + 1
+      : k - 1;
+    const previousX = at(previousK);
+    const previousY = previousX - previousK;
+
+    while (x > previousX && y > previousY) {
+      changes.push({type: ' ', line: a[x - 1]});
+      x--;
+      y--;
+    }
+    if (d > 0) {
+      if (x === previousX) changes.push({type: '+', line: b[y - 1]});
+      else changes.push({type: '-', line: a[x - 1]});
+    }
+    x = previousX;
+    y = previousY;
+  }
+
+  return changes.reverse();
+}
+
+function hash (text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+module.exports = {
+  LOCAL_DIFF_TYPES,
+  canDiffLocally,
+  localDiff,
+  diffLines,
+  sourceLines,
+  textLines
+};
@@ -0,0 +1,245 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {ascend, hashFile} = require('./tools');
+
+const MANIFEST_VERSION = 1;
+// Number of files to hash at the same time.
+const HASH_PARALLEL = 8;
+
+/**
+ * @typedef {Object} ManifestFile
+ * @property {String} path Path of the file, relative to the manifest
+ * @property {String} type What the file is: `versions` (the main output),
+ *           `error-versions`, `csv`, `content`, `diff`, `config`, or `errors`
+ * @property {Number} size
+ * @property {String} sha256
+ */
+
+/**
+ * @typedef {Object} Manifest
+ * @property {Number} version Version of the manifest format
+ * @property {Date} createdAt
+ * @property {Object} parameters Options the run used (secrets are redacted)
+ * @property {Object} counts Numbers of sites, pages, versions, etc.
+ * @property {ManifestFile[]} files
+ */
+
+/**
+ * Collects the files a scrape produces as it runs, then writes a manifest
+ * listing them with their sizes and SHA-256 hashes. Paths in the manifest are
+ * relative to its directory, so an output directory can be moved or copied
+ * and still be checked against it.
+ */
+class ManifestWriter {
+  /**
+   * Creates an instance of ManifestWriter.
+   * @param {String} filePath Where to write the manifest
+   */
+  constructor (filePath) {
+    this.path = path.resolve(filePath);
+    this._files = new Map();
+  }
+
+  /**
+   * Add a file to the manifest. Adding the same file again has no effect.
+   * @param {String} filePath
+   * @param {String} type See `ManifestFile`
+   * @param {Object} [options]
+   * @param {Boolean} [options.optional=false] If true, leave the file out
+   *        of the manifest if it doesn't exist when the manifest is written
+   *        (e.g. for files that are only written if there's something to
+   *        put in them).
+   */
+  add (filePath, type, {optional = false} = {}) {
+    const fullPath = path.resolve(filePath);
+    if (!this._files.has(fullPath)) {
+      this._files.set(fullPath, {type, optional});
+    }
+  }
+
+  /**
+   * Hash all the added files and write the manifest.
+   * @param {Object} run
+   * @param {Object} run.parameters
+   * @param {Object} run.counts
+   * @returns {Promise<{manifest: Manifest, missing: String[]}>} `missing`
+   *          lists any required files that didn't exist and were left out.
+   */
+  write ({parameters, counts}) {
+    const directory = path.dirname(this.path);
+    const missing = [];
+
+    return mapLimit(Array.from(this._files), HASH_PARALLEL, ([fullPath, {type, optional}]) => {
+      return describeFile(fullPath)
+        .then(description => Object.assign({
+          path: toManifestPath(path.relative(directory, fullPath)),
+          type
+        }, description))
+        .catch(error => {
+          if (error.code !== 'ENOENT') throw error;
+          if (!optional) missing.push(fullPath);
+          return null;
+        });
+    })
+      .then(files => {
+        const manifest = {
+          version: MANIFEST_VERSION,
+          createdAt: new Date(),
+          parameters,
+          counts,
+          files: files.filter(file => file).sort(ascend('path'))
+        };
+        return fs.promises.mkdir(directory, {recursive: true})
+          .then(() => fs.promises.writeFile(this.path, JSON.stringify(manifest, null, 2)))
+          .then(() => ({manifest, missing}));
+      });
+  }
+}
+
+/**
+ * Read a manifest file.
+ * @param {String} filePath
+ * @returns {Manifest}
+ */
+function readManifest (filePath) {
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+  catch (error) {
+    error.message = `Could not read manifest ${filePath}: ${error.message}`;
+    throw error;
+  }
+
+  if (!manifest || !Array.isArray(manifest.files)) {
+    const error = new Error(`${filePath} is not a scrape manifest`);
+    error.code = 'VERSIONISTA:INVALID_MANIFEST';
+    throw error;
+  }
+  if (manifest.version > MANIFEST_VERSION) {
+    const error = new Error(`${filePath} is a newer manifest format (version ${manifest.version}) than this tool understands`);
+    error.code = 'VERSIONISTA:INVALID_MANIFEST';
+    throw error;
+  }
+  return manifest;
+}
+
+/**
+ * Get the full paths of the files listed in a manifest.
+ * @param {String} filePath Path to the manifest
+ * @param {Object} [options]
+ * @param {String[]} [options.types] Only list files of these types
+ * @param {Boolean} [options.includeManifest=false] Include the path of the
+ *        manifest itself (at the end)
+ * @returns {String[]}
+ */
+function listFiles (filePath, {types, includeManifest = false} = {}) {
+  const directory = path.dirname(path.resolve(filePath));
+  const paths = readManifest(filePath).files
+    .filter(file => !types || types.includes(file.type))
+    .map(file => path.join(directory, file.path));
+
+  if (includeManifest) {
+    paths.push(path.resolve(filePath));
+  }
+  return paths;
+}
+
+/**
+ * Check that the files listed in a manifest exist and are unchanged.
+ * @param {String} filePath Path to the manifest
+ * @param {Object} [options]
+ * @param {Boolean} [options.strict=false] Also report files in the
+ *        manifest's directory (and its subdirectories) that it doesn't list.
+ *        Hidden files and other manifests are ignored.
+ * @returns {Promise<{checked: Number, problems: Array<{path: String, problem: String}>}>}
+ */
+function verifyManifest (filePath, {strict = false} = {}) {
+  const directory = path.dirname(path.resolve(filePath));
+  const manifest = readManifest(filePath);
+  const problems = [];
+
+  return mapLimit(manifest.files, HASH_PARALLEL, file => {
+    return describeFile(path.join(directory, file.path))
+      .then(actual => {
+        if (actual.size !== file.size) {
+          problems.push({path: file.path, problem: `size is ${actual.size}, expected ${file.size}`});
+        }
+        else if (actual.sha256 !== file.sha256) {
+          problems.push({path: file.path, problem: 'SHA-256 hash does not match'});
+        }
+      })
+      .catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+        problems.push({path: file.path, problem: 'missing'});
+      });
+  })
+    .then(() => {
+      if (strict) {
+        const listed = new Set(manifest.files.map(file => file.path));
+        listDirectory(directory)
+          .map(fullPath => toManifestPath(path.relative(directory, fullPath)))
+          .filter(relativePath => !listed.has(relativePath) &&
+            !/(^|\/)manifest[^/]*\.json$/.test(relativePath))
+          .forEach(relativePath => {
+            problems.push({path: relativePath, problem: 'not in manifest'});
+          });
+      }
+
+      problems.sort(ascend('path'));
+      return {checked: manifest.files.length, problems};
+    });
+}
+
+function describeFile (fullPath) {
+  return fs.promises.stat(fullPath)
+    .then(stats => hashFile(fullPath).then(sha256 => ({size: stats.size, sha256})));
+}
+
+// Manifests always use forward slashes, regardless of platform.
+function toManifestPath (relativePath) {
+  return relativePath.split(path.sep).join('/');
+}
+
+function listDirectory (directory) {
+  return fs.readdirSync(directory, {withFileTypes: true})
+    .filter(entry => entry.name[0] !== '.')
+    .reduce((files, entry) => {
+      const entryPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        return files.concat(listDirectory(entryPath));
+      }
+      return files.concat([entryPath]);
+    }, []);
+}
+
+// Like `Promise.all(items.map(operation))`, but with no more than `limit`
+// operations running at once.
+function mapLimit (items, limit, operation) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const work = () => {
+    if (nextIndex >= items.length) return Promise.resolve();
+    const index = nextIndex++;
+    return Promise.resolve(operation(items[index]))
+      .then(result => { results[index] = result; })
+      .then(work);
+  };
+
+  const workers = [];
+  for (let i = 0; i < Math.min(limit, items.length); i++) {
+    workers.push(work());
+  }
+  return Promise.all(workers).then(() => results);
+}
+
+module.exports = {
+  ManifestWriter,
+  readManifest,
+  listFiles,
+  verifyManifest,
+  MANIFEST_NAME: 'manifest.json'
+};
@@ -0,0 +1,547 @@
+'use strict';
+
+/**
+ * A small mock of the parts of Versionista that `versionista.js` depends on,
+ * for testing the scraper and the scripts in `bin/` end-to-end without
+ * talking to the real service. It is driven by a JSON dataset and can inject
+ * failures (server errors, slow responses, versions that disappear, and
+ * changes to the API's schema).
+ *
+ * Like the real Versionista, diffs are served from a separate host: requests
+ * for a comparison URL redirect to a "diff host," which has its own API for
+ * getting a URL for each type of diff. The mock runs two HTTP servers to
+ * simulate that.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const querystring = require('querystring');
+const url = require('url');
+const {toCsvString} = require('./formatters/csv');
+
+const DIFF_TYPES = ['edits', 'screenshots', 'html', 'filtered', 'only', 'text', 'text_only'];
+const SESSION_COOKIE = 'mock_versionista_session';
+
+/**
+ * @typedef {Object} MockDataset
+ * @property {Array<{email: String, password: String}>} [accounts] Accounts
+ *           that may log in. If not set, any e-mail and password is accepted.
+ * @property {MockSite[]} sites
+ * @property {MockFailures} [failures] Default failure settings.
+ */
+
+/**
+ * @typedef {Object} MockSite
+ * @property {String} id
+ * @property {String} name
+ * @property {String} base Base URL that relative page URLs are resolved to
+ * @property {MockPage[]} pages
+ */
+
+/**
+ * @typedef {Object} MockPage
+ * @property {String} id
+ * @property {String} url Complete URL or a path relative to the site's base
+ * @property {String} [title]
+ * @property {String} [status='A'] One of `A` (active), `I` (paused), or `N`
+ *           (new)
+ * @property {String} [added] ISO 8601 date
+ * @property {String} [lastChecked] ISO 8601 date
+ * @property {MockVersion[]} versions
+ */
+
+/**
+ * @typedef {Object} MockVersion
+ * @property {Number} id
+ * @property {String} date ISO 8601 date the version was first captured
+ * @property {String} [lastDate] ISO 8601 date the version was last seen
+ * @property {Number} [status=200] HTTP status code of the captured page
+ * @property {String} [contentType='text/html']
+ * @property {String} [content] Body of the captured page. If not present, the
+ *           version is marked as not stored.
+ * @property {String} [title]
+ * @property {String} [finalUrl] URL the page redirected to, if any
+ * @property {Boolean} [deleted] If true, the version only appears as a
+ *           deleted record in the versions API.
+ */
+
+/**
+ * @typedef {Object} MockFailures
+ * @property {Number} [serverErrorRate=0] Fraction (0-1) of requests that get
+ *           a server error response.
+ * @property {Number} [serverErrorStatus=503]
+ * @property {Number} [retryAfter] If set, server error responses have a
+ *           `Retry-After` header with this many seconds.
+ * @property {Number} [slowRate=0] Fraction (0-1) of requests that are delayed.
+ * @property {Number} [slowTime=5000] Milliseconds to delay slow requests by.
+ * @property {Number} [deletedRate=0] Fraction (0-1) of versions that are
+ *           listed, but are gone by the time their content or diffs are
+ *           requested.
+ * @property {Number} [sessionRequests=0] If set, sessions expire after this
+ *           many requests, and the client has to log in again.
+ * @property {Boolean} [schemaDrift=false] If true, page and version API
+ *           responses have extra fields, missing fields, and fields with
+ *           different types than normal.
+ */
+
+class MockVersionista {
+  /**
+   * Creates an instance of MockVersionista.
+   * @param {MockDataset} dataset
+   * @param {Object} [options]
+   * @param {MockFailures} [options.failures] Overrides any failure settings
+   *        in the dataset.
+   */
+  constructor (dataset, {failures = {}} = {}) {
+    this.dataset = dataset;
+    this.failures = Object.assign({
+      serverErrorRate: 0,
+      serverErrorStatus: 503,
+      slowRate: 0,
+      slowTime: 5000,
+      deletedRate: 0,
+      sessionRequests: 0,
+      schemaDrift: false
+    }, dataset.failures, failures);
+
+    /** @type {Array<{method: String, url: String, status: Number}>} */
+    this.requests = [];
+    // Session IDs -> number of requests made with them
+    this.sessions = new Map();
+
+    this.sites = new Map(dataset.sites.map(site => [String(site.id), site]));
+
+    this._server = http.createServer((request, response) => {
+      this._handle(request, response, () => this._route(request, response));
+    });
+    this._diffServer = http.createServer((request, response) => {
+      this._handle(request, response, () => this._routeDiff(request, response));
+    });
+  }
+
+  /**
+   * Start the main and diff host servers.
+   * @param {Number} [port=0] Port for the main server. 0 picks a free port.
+   * @param {Number} [diffPort=0] Port for the diff host.
+   * @returns {Promise<{url: String, diffUrl: String}>}
+   */
+  listen (port = 0, diffPort = 0) {
+    const listen = (server, port) => new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, '127.0.0.1', () => resolve(server.address().port));
+    });
+
+    return Promise.all([listen(this._server, port), listen(this._diffServer, diffPort)])
+      .then(([port, diffPort]) => {
+        // Use different host names so the scraper can tell the main server
+        // and the diff host apart, as it does with the real Versionista.
+        this.url = `http://localhost:${port}`;
+        this.diffUrl = `http://127.0.0.1:${diffPort}`;
+        return {url: this.url, diffUrl: this.diffUrl};
+      });
+  }
+
+  /**
+   * Stop the servers.
+   * @returns {Promise}
+   */
+  close () {
+    const close = server => new Promise(resolve => server.close(() => resolve()));
+    return Promise.all([close(this._server), close(this._diffServer)]);
+  }
+
+  _handle (request, response, route) {
+    const failures = this.failures;
+    response.on('finish', () => {
+      this.requests.push({
+        method: request.method,
+        url: request.url,
+        status: response.statusCode
+      });
+    });
+
+    const respond = () => {
+      if (Math.random() < failures.serverErrorRate) {
+        if (failures.retryAfter != null) {
+          response.setHeader('Retry-After', String(failures.retryAfter));
+        }
+        return send(response, failures.serverErrorStatus, 'Service Unavailable');
+      }
+
+      try {
+        route();
+      }
+      catch (error) {
+        send(response, 500, error.stack);
+      }
+    };
+
+    if (Math.random() < failures.slowRate) {
+      setTimeout(respond, failures.slowTime);
+    }
+    else {
+      respond();
+    }
+  }
+
+  _route (request, response) {
+    const requestUrl = url.parse(request.url);
+    const pathname = requestUrl.pathname;
+    let match;
+
+    if (pathname === '/api/login' && request.method === 'POST') {
+      return readBody(request).then(body => this._logIn(response, body));
+    }
+    else if (pathname === '/login') {
+      return send(response, 200, '<html><body><form id="login"></form></body></html>', 'text/html');
+    }
+
+    if (!this._isLoggedIn(request)) {
+      return redirect(response, '/login');
+    }
+
+    if (pathname === '/download/urls.csv') {
+      return send(response, 200, this._pagesCsv(), 'text/csv');
+    }
+    else if ((match = pathname.match(/^\/api\/site\/([^/]+)\/?$/))) {
+      return this._siteApi(response, match[1]);
+    }
+    else if ((match = pathname.match(/^\/api\/versions\/([^/]+)\/([^/]+)\/?$/))) {
+      return this._versionsApi(response, match[1], match[2]);
+    }
+    else if ((match = pathname.match(/^\/([^/]+)\/([^/]+)\/([^/:]+)\/download\/?$/))) {
+      return this._download(response, match[1], match[2], match[3]);
+    }
+    else if ((match = pathname.match(/^\/([^/]+)\/([^/]+)\/([^/:]+):([^/:]+)\/?$/))) {
+      return this._comparison(response, match[1], match[2], match[3], match[4]);
+    }
+    else if ((match = pathname.match(/^\/([^/]+)\/([^/]+)?\/?$/))) {
+      return send(response, 200, `<html><body>Versionista page for ${pathname}</body></html>`, 'text/html');
+    }
+
+    send(response, 404, 'Not Found');
+  }
+
+  _routeDiff (request, response) {
+    const pathname = url.parse(request.url).pathname;
+    let match;
+
+    if ((match = pathname.match(/^\/api\/ip_url\/pa\/([^/]+)\/(\w*)$/)) && request.method === 'POST') {
+      const [, token, type] = match;
+      if (!DIFF_TYPES.includes(type)) {
+        return send(response, 500, `Unknown diff type: '${type}'`);
+      }
+      return send(response, 200, `/diff/${token}/${type}`);
+    }
+    else if ((match = pathname.match(/^\/diff\/([^/]+)\/(\w+)$/))) {
+      return this._diff(response, match[1], match[2]);
+    }
+    else if ((match = pathname.match(/^\/pa\/([^/]+)\/?$/))) {
+      return send(response, 200, '<html><body>Diff viewer</body></html>', 'text/html');
+    }
+
+    send(response, 404, 'Not Found');
+  }
+
+  _logIn (response, body) {
+    const form = querystring.parse(body);
+    const accounts = this.dataset.accounts;
+    const accepted = !accounts || accounts.some(
+      account => account.email === form.em && account.password === form.pw);
+
+    if (!accepted) {
+      return send(response, 200, JSON.stringify({success: 'denied'}), 'application/json');
+    }
+
+    const session = crypto.randomBytes(16).toString('hex');
+    this.sessions.set(session, 0);
+    response.setHeader('Set-Cookie', `${SESSION_COOKIE}=${session}; Path=/`);
+    send(response, 200, JSON.stringify({success: 'accepted'}), 'application/json');
+  }
+
+  _isLoggedIn (request) {
+    const cookies = querystring.parse(request.headers.cookie || '', '; ');
+    const session = cookies[SESSION_COOKIE];
+    if (!this.sessions.has(session)) return false;
+
+    const count = this.sessions.get(session) + 1;
+    if (this.failures.sessionRequests && count > this.failures.sessionRequests) {
+      this.sessions.delete(session);
+      return false;
+    }
+    this.sessions.set(session, count);
+    return true;
+  }
+
+  _pagesCsv () {
+    const rows = [[
+      'Page URL',
+      'Page Status',
+      'Versions',
+      'Added',
+      'Last New',
+      'Response Code',
+      'Last Checked',
+      'Title',
+      'Last Version',
+      'Last Change',
+      'Parent Site'
+    ]];
+
+    for (const site of this.sites.values()) {
+      for (const page of site.pages) {
+        const versions = liveVersions(page);
+        const latest = versions[versions.length - 1];
+        rows.push([
+          pageUrl(site, page),
+          {A: 'monitored', I: 'paused', N: 'newfound'}[page.status || 'A'],
+          versions.length,
+          page.added || '',
+          latest ? latest.date : 'none',
+          latest ? statusText(latest.status) : '',
+          page.lastChecked || 'never',
+          page.title || '',
+          latest ? `${this.url}/${site.id}/${page.id}/${latest.id}/` : '',
+          latest ? `${this.url}/${site.id}/${page.id}/${latest.id}:0/` : '',
+          site.name
+        ]);
+      }
+    }
+
+    return toCsvString(rows);
+  }
+
+  _siteApi (response, siteId) {
+    const site = this.sites.get(siteId);
+    if (!site) return send(response, 404, 'Not Found');
+
+    const pages = {};
+    site.pages.forEach(page => {
+      const versions = liveVersions(page);
+      const latest = versions[versions.length - 1];
+      const apiPage = {
+        flags: [],
+        url: page.url,
+        beacon: 1,
+        vers: versions.length,
+        id: page.id,
+        st: page.status || 'A',
+        added: timestamp(page.added),
+        mime: latest && latest.contentType || '',
+        cur_ver: latest ? latest.id : 0
+      };
+      if (page.title) apiPage.title = page.title;
+      if (page.lastChecked) apiPage.lchk = timestamp(page.lastChecked);
+      if (latest) apiPage.lnew = timestamp(latest.date);
+
+      if (this.failures.schemaDrift) {
+        apiPage.unexpected_field = 'schema drift';
+        delete apiPage.beacon;
+        apiPage.vers = String(apiPage.vers);
+      }
+
+      pages[page.id] = apiPage;
+    });
+
+    sendJson(response, {
+      data: {
+        title_alt: site.name,
+        base: site.base || '',
+        folder: 0,
+        st: 'A',
+        id: String(site.id),
+        notes: ''
+      },
+      pages
+    });
+  }
+
+  _versionsApi (response, siteId, pageId) {
+    const page = this._getPage(siteId, pageId);
+    if (!page) return send(response, 404, 'Not Found');
+
+    // The real API lists versions newest first.
+    const apiVersions = page.versions.slice().reverse().map(version => {
+      if (version.deleted) {
+        return {id: version.id, deleted: true};
+      }
+
+      const apiVersion = {
+        rc: statusText(version.status),
+        size: Buffer.byteLength(version.content || ''),
+        fst: timestamp(version.date),
+        protected: false,
+        content_type: version.contentType || 'text/html',
+        lst: timestamp(version.lastDate || version.date),
+        id: version.id,
+        beacon: 0
+      };
+      if (version.content != null) apiVersion.stored = true;
+      if (version.title) apiVersion.title = version.title;
+      if (version.finalUrl) apiVersion.final_url = version.finalUrl;
+
+      if (this.failures.schemaDrift) {
+        apiVersion.unexpected_field = 'schema drift';
+        delete apiVersion.beacon;
+        apiVersion.size = String(apiVersion.size);
+      }
+
+      return apiVersion;
+    });
+
+    sendJson(response, apiVersions);
+  }
+
+  _download (response, siteId, pageId, versionId) {
+    const version = this._getVersion(siteId, pageId, versionId);
+    if (!version || version.content == null) {
+      return send(response, 404, 'Not Found');
+    }
+
+    send(response, 200, version.content, version.contentType || 'text/html');
+  }
+
+  _comparison (response, siteId, pageId, toId, fromId) {
+    const page = this._getPage(siteId, pageId);
+    const to = this._getVersion(siteId, pageId, toId);
+    const from = fromId === '0'
+      ? page && liveVersions(page)[0]
+      : this._getVersion(siteId, pageId, fromId);
+
+    // Like Versionista, bad comparisons redirect to a normal page.
+    if (!to || !from) {
+      return redirect(response, `/${siteId}/${pageId}/`);
+    }
+
+    const token = Buffer.from(`${siteId}/${pageId}/${to.id}:${from.id}`)
+      .toString('base64')
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=/g, '');
+    redirect(response, `${this.diffUrl}/pa/${token}/`);
+  }
+
+  _diff (response, token, type) {
+    const decoded = Buffer.from(token.replace(/-/g, '+').replace(/_/g, '/'), 'base64')
+      .toString();
+    const [siteId, pageId, ids] = decoded.split('/');
+    const [toId, fromId] = (ids || '').split(':');
+    const to = this._getVersion(siteId, pageId, toId);
+    const from = this._getVersion(siteId, pageId, fromId);
+    if (!to || !from || !DIFF_TYPES.includes(type)) {
+      return send(response, 404, 'Not Found');
+    }
+
+    send(response, 200, renderDiff(from.content || '', to.content || '', type), 'text/html');
+  }
+
+  _getPage (siteId, pageId) {
+    const site = this.sites.get(siteId);
+    return site && site.pages.find(page => String(page.id) === pageId);
+  }
+
+  _getVersion (siteId, pageId, versionId) {
+    const page = this._getPage(siteId, pageId);
+    const version = page && page.versions.find(
+      version => String(version.id) === String(versionId));
+
+    if (!version || version.deleted || this._isDeletedLater(version)) {
+      return null;
+    }
+    return version;
+  }
+
+  // Deterministically pick versions that disappear after being listed.
+  _isDeletedLater (version) {
+    if (!this.failures.deletedRate) return false;
+
+    const hash = crypto.createHash('sha256').update(String(version.id)).digest();
+    return hash.readUInt32BE(0) / 0xffffffff < this.failures.deletedRate;
+  }
+}
+
+function liveVersions (page) {
+  return page.versions.filter(version => !version.deleted);
+}
+
+function pageUrl (site, page) {
+  return /^\w+:\/\//.test(page.url) ? page.url : (site.base || '') + page.url;
+}
+
+function statusText (status = 200) {
+  return `${status} ${http.STATUS_CODES[status] || ''}`.trim();
+}
+
+function timestamp (date) {
+  return Math.floor(new Date(date || 0).getTime() / 1000);
+}
+
+/**
+ * Render a simple line-based diff, roughly in the style of Versionista's.
+ * Text diffs have all the markup stripped first, and the `only` types only
+ * include the lines that changed.
+ */
+function renderDiff (fromContent, toContent, type) {
+  if (!fromContent && !toContent) return '';
+
+  const isText = type.startsWith('text');
+  const changesOnly = type.endsWith('only');
+  const toLines = text => (isText ? text.replace(/<[^>]*>/g, '') : text)
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => !!line);
+
+  const fromLines = toLines(fromContent);
+  const toLinesList = toLines(toContent);
+  const fromSet = new Set(fromLines);
+  const toSet = new Set(toLinesList);
+  const escape = text => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+  const lines = [];
+  fromLines.forEach(line => {
+    if (!toSet.has(line)) lines.push(`<del>${escape(line)}</del>`);
+  });
+  toLinesList.forEach(line => {
+    if (!fromSet.has(line)) lines.push(`<ins>${escape(line)}</ins>`);
+    else if (!changesOnly) lines.push(`<span>${escape(line)}</span>`);
+  });
+
+  return [
+    '<html><head>',
+    '<!-- Versionista general -->',
+    '<style>ins { background: #cfc; } del { background: #fcc; }</style>',
+    '<!-- End Versionista general -->',
+    '</head><body>',
+    ...lines,
+    '</body></html>'
+  ].join('\n');
+}
+
+function readBody (request) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    request.setEncoding('utf8');
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => resolve(body));
+    request.on('error', reject);
+  });
+}
+
+function send (response, status, body, contentType = 'text/plain') {
+  response.writeHead(status, {'Content-Type': contentType});
+  response.end(body);
+}
+
+function sendJson (response, data) {
+  send(response, 200, JSON.stringify(data), 'application/json');
+}
+
+function redirect (response, location) {
+  response.writeHead(302, {Location: location});
+  response.end();
+}
+
+module.exports = MockVersionista;
@@ -0,0 +1,154 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @typedef {Object} AccountState
+ * @property {Date} highWaterMark Date of the newest version emitted so far
+ * @property {Date} lastRunTime When the last successful run started
+ * @property {Map<String,Date>} versions Dates of recently emitted versions,
+ *           keyed by version ID
+ */
+
+/**
+ * Tracks which versions have been emitted by previous successful runs, per
+ * Versionista account, so that scheduled runs can pick up exactly where the
+ * last one left off.
+ *
+ * The state file is JSON that looks like:
+ *   {
+ *     "accounts": {
+ *       "versionista1": {
+ *         "highWaterMark": "2017-03-01T12:00:00.000Z",
+ *         "lastRunTime": "2017-03-01T12:30:00.000Z",
+ *         "versions": {"9651274": "2017-03-01T11:58:00.000Z"}
+ *       }
+ *     }
+ *   }
+ *
+ * Only versions inside the overlap window before the high-water mark are kept
+ * in `versions`; anything older can't be picked up by a later run anyway.
+ */
+class RunState {
+  /**
+   * Creates an instance of RunState, loading any existing state from disk.
+   * @param {String} filePath Path to the state file
+   * @param {Object} [options]
+   * @param {Number} [options.overlap=3600000] Milliseconds before the
+   *        high-water mark to re-check for versions that showed up late.
+   */
+  constructor (filePath, {overlap = 60 * 60 * 1000} = {}) {
+    this.path = filePath;
+    this.overlap = overlap;
+    this.accounts = new Map();
+
+    let data = null;
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+    catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Could not read state file ${filePath}: ${error.message}`);
+      }
+    }
+
+    if (data && data.accounts) {
+      Object.entries(data.accounts).forEach(([name, account]) => {
+        this.accounts.set(name, {
+          highWaterMark: account.highWaterMark && new Date(account.highWaterMark),
+          lastRunTime: account.lastRunTime && new Date(account.lastRunTime),
+          versions: new Map(Object.entries(account.versions || {})
+            .map(([id, date]) => [id, new Date(date)]))
+        });
+      });
+    }
+  }
+
+  /**
+   * Get the earliest date a run for the given account needs to look at, or
+   * `null` if there is no record of a previous run.
+   * @param {String} account
+   * @returns {Date|null}
+   */
+  getStartDate (account) {
+    const state = this.accounts.get(account);
+    if (!state || !state.highWaterMark) return null;
+
+    return new Date(state.highWaterMark.getTime() - this.overlap);
+  }
+
+  /**
+   * Determine whether a version was already emitted by a previous run.
+   * @param {String} account
+   * @param {VersionistaVersion} version
+   * @returns {Boolean}
+   */
+  hasEmitted (account, version) {
+    const state = this.accounts.get(account);
+    return !!state && state.versions.has(String(version.versionId));
+  }
+
+  /**
+   * Record a successful run and the versions it emitted.
+   * @param {String} account
+   * @param {VersionistaVersion[]} versions
+   * @param {Date} runTime When the run started
+   */
+  update (account, versions, runTime) {
+    const state = this.accounts.get(account) || {
+      highWaterMark: null,
+      lastRunTime: null,
+      versions: new Map()
+    };
+
+    versions.forEach(version => {
+      state.versions.set(String(version.versionId), version.date);
+      if (!state.highWaterMark || version.date > state.highWaterMark) {
+        state.highWaterMark = version.date;
+      }
+    });
+    state.lastRunTime = runTime;
+
+    const cutoff = this.getStartDate(account) || state.highWaterMark;
+    if (cutoff) {
+      for (const [id, date] of state.versions) {
+        if (date < cutoff) {
+          state.versions.delete(id);
+        }
+      }
+    }
+
+    this.accounts.set(account, state);
+  }
+
+  /**
+   * Write the state to disk. The file is replaced atomically so a crash
+   * can't leave a partially written state behind.
+   * @returns {Promise}
+   */
+  save () {
+    const accounts = {};
+    for (const [name, state] of this.accounts) {
+      const versions = {};
+      for (const [id, date] of state.versions) {
+        versions[id] = date;
+      }
+      accounts[name] = {
+        highWaterMark: state.highWaterMark,
+        lastRunTime: state.lastRunTime,
+        versions
+      };
+    }
+
+    const temporaryPath = `${this.path}.tmp`;
+    return fs.promises.mkdir(path.dirname(this.path), {recursive: true})
+      .then(() => fs.promises.writeFile(
+        temporaryPath,
+        JSON.stringify({accounts}, null, 2),
+        'utf8'))
+      .then(() => fs.promises.rename(temporaryPath, this.path));
+  }
+}
+
+module.exports = RunState;
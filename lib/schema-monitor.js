@@ -0,0 +1,264 @@
+'use strict';
+
+// Number of example locations to keep for each kind of drift.
+const MAX_EXAMPLES = 5;
+
+/**
+ * @typedef {Object} SchemaProblem
+ * @property {String} field
+ * @property {'missing'|'type'|'extra'} problem
+ * @property {String} [expected] The type from the schema, e.g. `number?`
+ * @property {String} [found] The type of the value that was actually present
+ */
+
+/**
+ * @typedef {Object} SchemaDrift
+ * @property {String} schema Name of the schema, e.g. `page` or `version`
+ * @property {String} field
+ * @property {'missing'|'type'|'extra'} problem
+ * @property {'fatal'|'tolerated'} severity
+ * @property {String} [expected]
+ * @property {Object<String, Number>} found Number of times each type was seen
+ * @property {Number} count Number of objects with this problem
+ * @property {String[]} examples Where some of the problems were seen
+ */
+
+/**
+ * Tracks how objects from Versionista's (undocumented) API differ from the
+ * schemas we expect across a whole run, instead of failing on the first
+ * difference. Differences are sorted into two kinds:
+ *
+ * - Fatal: a field the scraper uses is missing or has a type it can't use.
+ *   The object can't be scraped.
+ * - Tolerated: an unexpected extra field, a problem with a field the scraper
+ *   doesn't use, or a number that was sent as a string (or vice versa), which
+ *   is converted back to the expected type.
+ */
+class SchemaMonitor {
+  constructor () {
+    this.startedAt = new Date();
+    /** @type {Object<String, Number>} Number of objects checked per schema */
+    this.checked = {};
+    /** @type {Map<String, SchemaDrift>} */
+    this._drift = new Map();
+  }
+
+  /**
+   * Check an object against a schema and record any drift. Tolerated type
+   * changes are fixed on the object in place.
+   * @param {String} name Name of the schema, e.g. `page`
+   * @param {Object} schema A schema, like for `assertSchema()` in
+   *        `versionista.js`
+   * @param {Object} object
+   * @param {Object} [options]
+   * @param {String[]} [options.usedFields] Fields the scraper reads. Problems
+   *        with these fields are fatal. Defaults to all the fields in `schema`.
+   * @param {String} [options.location] Where the object came from (e.g. a URL)
+   * @returns {SchemaProblem[]} The fatal problems, if any
+   */
+  check (name, schema, object, options = {}) {
+    const usedFields = options.usedFields || Object.keys(schema);
+    this.checked[name] = (this.checked[name] || 0) + 1;
+
+    const fatal = [];
+    SchemaMonitor.findProblems(schema, object, {extra: true}).forEach(problem => {
+      let severity = 'tolerated';
+      if (usedFields.includes(problem.field) && problem.problem !== 'extra') {
+        const converted = problem.problem === 'type' &&
+          convertType(object[problem.field], problem.expected);
+        if (!converted) {
+          severity = 'fatal';
+          fatal.push(problem);
+        }
+        else {
+          object[problem.field] = converted.value;
+        }
+      }
+      this._record(name, problem, severity, options.location);
+    });
+
+    return fatal;
+  }
+
+  /**
+   * @returns {Boolean} Whether any drift was seen
+   */
+  get hasDrift () {
+    return this._drift.size > 0;
+  }
+
+  /**
+   * Get all the drift seen so far.
+   * @returns {{fatal: SchemaDrift[], tolerated: SchemaDrift[]}}
+   */
+  getDrift () {
+    const drift = Array.from(this._drift.values())
+      .sort((a, b) => b.count - a.count);
+    return {
+      fatal: drift.filter(item => item.severity === 'fatal'),
+      tolerated: drift.filter(item => item.severity === 'tolerated')
+    };
+  }
+
+  /**
+   * Get a report of the run's drift, suitable for writing as JSON.
+   * @returns {Object}
+   */
+  report () {
+    return Object.assign({
+      startedAt: this.startedAt,
+      createdAt: new Date(),
+      checked: this.checked
+    }, this.getDrift());
+  }
+
+  /**
+   * Summarize the drift as short lines of text, e.g. for logging.
+   * @returns {String[]}
+   */
+  summarize () {
+    const {fatal, tolerated} = this.getDrift();
+    return [...fatal, ...tolerated].map(item => {
+      const found = Object.keys(item.found).join('|');
+      let description = `${item.severity}: ${item.schema}.${item.field} `;
+      if (item.problem === 'extra') {
+        description += `is an unexpected ${found} field`;
+      }
+      else if (item.problem === 'missing') {
+        description += `is missing (expected ${item.expected || 'any type'})`;
+      }
+      else {
+        description += `is ${found} (expected ${item.expected})`;
+      }
+      return `${description} in ${item.count} of ${this.checked[item.schema]} objects`;
+    });
+  }
+
+  _record (name, problem, severity, location) {
+    const key = `${name}.${problem.field}.${problem.problem}`;
+    let drift = this._drift.get(key);
+    if (!drift) {
+      drift = {
+        schema: name,
+        field: problem.field,
+        problem: problem.problem,
+        severity,
+        expected: problem.expected,
+        found: {},
+        count: 0,
+        examples: []
+      };
+      this._drift.set(key, drift);
+    }
+    // The same field can be fatal for some objects but not others (e.g. if
+    // only some of its values can be converted).
+    if (severity === 'fatal') {
+      drift.severity = 'fatal';
+    }
+
+    drift.count++;
+    if (problem.found) {
+      drift.found[problem.found] = (drift.found[problem.found] || 0) + 1;
+    }
+    if (location && drift.examples.length < MAX_EXAMPLES) {
+      drift.examples.push(location);
+    }
+  }
+}
+
+/**
+ * Find all the ways an object differs from a schema. See `assertSchema()` in
+ * `versionista.js` for the format of a schema.
+ * @param {Object} schema
+ * @param {Object} object
+ * @param {Object} [options]
+ * @param {Boolean} [options.extra=false] Also report fields that are not in
+ *        the schema.
+ * @returns {SchemaProblem[]}
+ */
+SchemaMonitor.findProblems = function (schema, object, options = {}) {
+  const problems = [];
+  const keys = [
+    ...Object.getOwnPropertyNames(schema),
+    ...Object.getOwnPropertySymbols(schema)
+  ];
+
+  keys.forEach(key => {
+    let type = schema[key];
+    let optional = false;
+    if ((typeof type === 'string')) {
+      if (type.endsWith('?')) {
+        optional = true;
+        type = type.slice(0, -1);
+      }
+      type = type.split('|').map(item => item.trim()).filter(item => !!item);
+    }
+
+    if (!(key in object)) {
+      if (!optional) {
+        problems.push({field: key, problem: 'missing', expected: schema[key]});
+      }
+    }
+    else if (type && !isType(object[key], type)) {
+      problems.push({
+        field: key,
+        problem: 'type',
+        expected: schema[key],
+        found: typeName(object[key])
+      });
+    }
+  });
+
+  if (options.extra) {
+    Object.keys(object)
+      .filter(key => !(key in schema))
+      .forEach(key => problems.push({
+        field: key,
+        problem: 'extra',
+        found: typeName(object[key])
+      }));
+  }
+
+  return problems;
+};
+
+/**
+ * Check whether a value is of a given type. This can handle more types than
+ * 'typeof' can (it differentiates 'array' and 'object', for example).
+ * @param {any} value Value to check type of.
+ * @param {string|string[]} type Name of type to check that value is.
+ * @returns {boolean}
+ */
+function isType (value, type) {
+  if (Array.isArray(type)) return type.some(item => isType(value, item));
+  else if (type === 'array') return Array.isArray(value);
+  else if (type === 'object' && Array.isArray(value)) return false;
+  return typeof value === type;
+}
+
+function typeName (value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Convert a value that is the wrong type to the type a schema expects, if it
+ * can be done without losing information (e.g. `'5'` -> `5`).
+ * @param {any} value
+ * @param {String} expected Type from a schema
+ * @returns {{value: any}|false}
+ */
+function convertType (value, expected) {
+  const types = expected.replace(/\?$/, '').split('|');
+  if (types.includes('number') && typeof value === 'string' && value.trim()) {
+    const number = Number(value);
+    if (!Number.isNaN(number)) return {value: number};
+  }
+  if (types.includes('string') && typeof value === 'number') {
+    return {value: value.toString(10)};
+  }
+  return false;
+}
+
+module.exports = SchemaMonitor;
@@ -0,0 +1,274 @@
+'use strict';
+
+const {diffLines, sourceLines, textLines} = require('./local-diff');
+
+/**
+ * Words and phrases that make a change more likely to be significant if they
+ * were added or removed.
+ */
+const DEFAULT_KEYWORDS = [
+  'climate',
+  'global warming',
+  'greenhouse',
+  'emission',
+  'carbon',
+  'fossil fuel',
+  'renewable',
+  'sea level',
+  'pollution',
+  'environmental justice',
+  'endangered',
+  'regulation',
+  'enforcement'
+];
+
+// Reasons (tags) a change is given a priority.
+const REASONS = {
+  noChange: 'no change',
+  whitespace: 'whitespace only',
+  scripts: 'scripts or tracking only',
+  markup: 'markup only',
+  dates: 'only dates changed',
+  navigation: 'navigation only',
+  text: 'text changed',
+  keyword: 'keyword hit',
+  largeRemoval: 'large removal',
+  largeAddition: 'large addition',
+  becameError: 'became error',
+  recovered: 'recovered from error',
+  estimated: 'estimated from diff length'
+};
+
+// A change to this much text (in characters) gets the highest base priority.
+const LARGE_CHANGE = 2000;
+
+const monthPattern = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const datePatterns = [
+  // 2017-03-01, 2017-03-01T10:00:00Z
+  /\b\d{4}-\d{1,2}-\d{1,2}(?:[t ]\d{1,2}:\d{2}(?::\d{2})?(?:\.\d+)?(?:z|[+-]\d{2}:?\d{2})?)?\b/gi,
+  // 3/1/2017, 03.01.17
+  /\b\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}\b/g,
+  // March 1, 2017 or 1 March 2017 or March 2017
+  new RegExp(`\\b${monthPattern}\\s+\\d{1,2}(?:st|nd|rd|th)?(?:,?\\s+\\d{4})?\\b`, 'gi'),
+  new RegExp(`\\b\\d{1,2}(?:st|nd|rd|th)?\\s+${monthPattern}(?:,?\\s+\\d{4})?\\b`, 'gi'),
+  new RegExp(`\\b${monthPattern}\\s+\\d{4}\\b`, 'gi'),
+  // 10:30 am, 22:15:01
+  /\b\d{1,2}:\d{2}(?::\d{2})?\s*(?:[ap]\.?m\.?)?(?:\s*[a-z]{2,4}t\b)?/gi,
+  /\b(?:mon|tues?|wed(?:nes)?|thu(?:rs)?|fri|sat(?:ur)?|sun)(?:day)?\b\.?/gi
+];
+
+/**
+ * @typedef {Object} Significance
+ * @property {Number} priority How likely the change is to be significant,
+ *           from 0 (not at all) to 1
+ * @property {String[]} reasons Tags explaining the priority, e.g.
+ *           `only dates changed` or `keyword hit`
+ */
+
+/**
+ * Score how significant the change between two versions of a page is, based
+ * on a diff of their text and a diff of their source.
+ * @param {Object} change
+ * @param {String|Buffer} change.previousBody Content of the earlier version
+ * @param {String|Buffer} change.body Content of the later version
+ * @param {Number} [change.previousStatus] HTTP status of the earlier version
+ * @param {Number} [change.status] HTTP status of the later version
+ * @param {Object} [options]
+ * @param {String[]} [options.keywords] Words and phrases that make a change
+ *        more significant. Defaults to `DEFAULT_KEYWORDS`.
+ * @returns {Significance}
+ */
+function scoreChange (change, options = {}) {
+  const keywords = options.keywords || DEFAULT_KEYWORDS;
+  const previousBody = change.previousBody.toString();
+  const body = change.body.toString();
+
+  const statusReasons = statusChangeReasons(change.previousStatus, change.status);
+  const statusBoost = statusReasons.includes(REASONS.becameError) ? 0.4 : 0;
+  const result = (priority, reasons) => ({
+    priority: round(Math.min(1, priority + statusBoost)),
+    reasons: [...reasons, ...statusReasons]
+  });
+
+  const previousText = textLines(previousBody);
+  const text = textLines(body);
+  const textChanges = changedLines(previousText, text);
+  const sourceChanges = changedLines(sourceLines(previousBody), sourceLines(body));
+
+  if (!textChanges.removed.length && !textChanges.added.length) {
+    if (!sourceChanges.removed.length && !sourceChanges.added.length) {
+      return result(0, [REASONS.noChange]);
+    }
+    else if (isSame(sourceChanges, line => line.replace(/\s+/g, ''))) {
+      return result(0, [REASONS.whitespace]);
+    }
+
+    const withoutScripts = changedLines(
+      sourceLines(stripScripts(previousBody)),
+      sourceLines(stripScripts(body)));
+    if (!withoutScripts.removed.length && !withoutScripts.added.length) {
+      return result(0.05, [REASONS.scripts]);
+    }
+    return result(0.1, [REASONS.markup]);
+  }
+
+  if (isSame(textChanges, line => line.replace(/\s+/g, ''))) {
+    return result(0, [REASONS.whitespace]);
+  }
+  if (isSame(textChanges, replaceDates)) {
+    return result(0.1, [REASONS.dates]);
+  }
+
+  const navigation = new Set([
+    ...navigationLines(previousBody),
+    ...navigationLines(body)
+  ]);
+  const changed = [...textChanges.removed, ...textChanges.added];
+  if (changed.every(line => navigation.has(line))) {
+    return result(0.2, [REASONS.navigation]);
+  }
+
+  const removedLength = length(textChanges.removed);
+  const addedLength = length(textChanges.added);
+  const previousLength = length(previousText);
+  const removedFraction = previousLength ? removedLength / previousLength : 0;
+  const reasons = [REASONS.text];
+  let priority = 0.3 + 0.3 * Math.min(1, (removedLength + addedLength) / LARGE_CHANGE);
+
+  if (keywordHits(changed, keywords).length) {
+    reasons.push(REASONS.keyword);
+    priority += 0.2;
+  }
+  // Removing a few words from a short page shouldn't count as large.
+  if (removedLength >= LARGE_CHANGE || (removedLength >= 200 && removedFraction >= 0.3)) {
+    reasons.push(REASONS.largeRemoval);
+    priority += 0.2;
+  }
+  else if (addedLength >= LARGE_CHANGE) {
+    reasons.push(REASONS.largeAddition);
+    priority += 0.1;
+  }
+
+  return result(priority, reasons);
+}
+
+/**
+ * Estimate how significant a version's change is from the lengths of its
+ * diffs, for when the content of the version or the one before it isn't
+ * available.
+ * @param {VersionistaVersion} version
+ * @returns {Significance|null} Null if the version has no diffs
+ */
+function estimateFromDiffs (version) {
+  const textDiff = version.textDiff;
+  const sourceDiff = version.diff;
+  if (!textDiff && !sourceDiff) {
+    return null;
+  }
+
+  if (textDiff && !textDiff.length) {
+    const reason = sourceDiff && sourceDiff.length ? REASONS.markup : REASONS.noChange;
+    return {priority: 0.05, reasons: [reason, REASONS.estimated]};
+  }
+
+  // Diffs from Versionista include markup, so they are longer than the text
+  // that actually changed.
+  const diffLength = (textDiff || sourceDiff).length || 0;
+  return {
+    priority: round(0.3 + 0.3 * Math.min(1, diffLength / (LARGE_CHANGE * 5))),
+    reasons: [REASONS.estimated]
+  };
+}
+
+/**
+ * Find the keywords that appear in some lines of text.
+ * @param {String[]} lines
+ * @param {String[]} keywords
+ * @returns {String[]}
+ */
+function keywordHits (lines, keywords) {
+  const text = lines.join('\n').toLowerCase();
+  return keywords.filter(keyword => {
+    const pattern = new RegExp(`\\b${escapeRegExp(keyword.toLowerCase())}`);
+    return pattern.test(text);
+  });
+}
+
+function changedLines (oldLines, newLines) {
+  const changes = diffLines(oldLines, newLines);
+  return {
+    removed: changes.filter(change => change.type === '-').map(change => change.line),
+    added: changes.filter(change => change.type === '+').map(change => change.line)
+  };
+}
+
+// Whether the removed and added lines are the same after normalizing them.
+function isSame ({removed, added}, normalize) {
+  const normalizedRemoved = removed.map(normalize).filter(line => line).sort();
+  const normalizedAdded = added.map(normalize).filter(line => line).sort();
+  return normalizedRemoved.length === normalizedAdded.length &&
+    normalizedRemoved.every((line, index) => line === normalizedAdded[index]);
+}
+
+function replaceDates (line) {
+  return datePatterns
+    .reduce((result, pattern) => result.replace(pattern, '<date>'), line)
+    .replace(/\s+/g, '');
+}
+
+function stripScripts (html) {
+  return html
+    .replace(/<!--[^]*?-->/g, '')
+    .replace(/<(script|style|noscript)\b[^>]*>[^]*?<\/\1\s*>/gi, '')
+    .replace(/<(link|meta)\b[^>]*>/gi, '')
+    // Cache busting and CSRF tokens in attributes.
+    .replace(/\b(nonce|integrity|data-[\w-]*token[\w-]*)="[^"]*"/gi, '')
+    .replace(/([?&](?:v|ver|version|_|cb|t)=)[\w.-]+/gi, '$1');
+}
+
+function navigationLines (html) {
+  const lines = [];
+  const pattern = /<(nav|header|footer)\b[^>]*>[^]*?<\/\1\s*>|<(\w+)\b[^>]*\brole=["']navigation["'][^>]*>[^]*?<\/\2\s*>/gi;
+  let match;
+  while ((match = pattern.exec(html))) {
+    lines.push(...textLines(match[0]));
+  }
+  return lines;
+}
+
+function statusChangeReasons (previousStatus, status) {
+  const isError = code => code != null && code >= 400;
+  if (isError(status) && !isError(previousStatus)) {
+    return [REASONS.becameError];
+  }
+  else if (isError(previousStatus) && status != null && !isError(status)) {
+    return [REASONS.recovered];
+  }
+  return [];
+}
+
+function length (lines) {
+  return lines.reduce((total, line) => total + line.length, 0);
+}
+
+function round (number) {
+  return Math.round(number * 100) / 100;
+}
+
+/**
+ * Escape text so it matches literally when used in a regular expression.
+ * @param {String} text
+ * @returns {String}
+ */
+function escapeRegExp (text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  DEFAULT_KEYWORDS,
+  REASONS,
+  scoreChange,
+  estimateFromDiffs,
+  keywordHits,
+  escapeRegExp
+};
@@ -0,0 +1,80 @@
+'use strict';
+
+const fs = require('fs');
+const {Storage} = require('@google-cloud/storage');
+
+/**
+ * Stores objects in a Google Cloud Storage bucket.
+ */
+class GoogleStorage {
+  /**
+   * Creates an instance of GoogleStorage.
+   * @param {Object} options
+   * @param {String} options.bucket
+   * @param {String} [options.project] Google Cloud project ID
+   * @param {String} [options.keyfile] Path to a Google Cloud access key file
+   */
+  constructor ({bucket, project, keyfile}) {
+    this.url = `gs://${bucket}/`;
+    this._bucket = new Storage({
+      projectId: project,
+      keyFilename: keyfile
+    }).bucket(bucket);
+  }
+
+  /**
+   * Get the size and MD5 hash of an object.
+   * @param {String} key
+   * @returns {Promise<{size: Number, md5: String}>} Resolves with null if
+   *          there is no object at `key`.
+   */
+  stat (key) {
+    return this._bucket.file(key).getMetadata()
+      .then(([metadata]) => ({
+        size: Number(metadata.size),
+        // GCS reports MD5 hashes in base64.
+        md5: metadata.md5Hash
+          ? Buffer.from(metadata.md5Hash, 'base64').toString('hex')
+          : null
+      }))
+      .catch(error => {
+        if (error.code === 404) {
+          return null;
+        }
+        throw error;
+      });
+  }
+
+  /**
+   * Upload a file.
+   * @param {String} key
+   * @param {String} filePath
+   * @param {UploadOptions} options
+   * @returns {Promise}
+   */
+  upload (key, filePath, {contentType, cacheControl, acl, metadata}) {
+    return new Promise((resolve, reject) => {
+      fs.createReadStream(filePath)
+        .on('error', reject)
+        .pipe(this._bucket.file(key).createWriteStream({
+          resumable: false,
+          predefinedAcl: acl && googleAcl(acl),
+          metadata: {
+            contentType,
+            cacheControl,
+            metadata
+          }
+        }))
+        .on('error', reject)
+        .on('finish', resolve);
+    });
+  }
+}
+
+// ACLs are named like S3's canned ACLs (e.g. `public-read`), but GCS uses
+// camel-case names for the same things (e.g. `publicRead`).
+function googleAcl (acl) {
+  return acl.replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+}
+
+module.exports = GoogleStorage;
@@ -0,0 +1,283 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const stream = require('stream');
+const url = require('url');
+const klaw = require('klaw');
+const mime = require('mime-types');
+const parallel = require('parallel-transform');
+const pump = require('pump');
+const {parseContentPath} = require('../content-store');
+const {ascend, hashFile} = require('../tools');
+
+// register custom mime types
+mime.types['jsonl'] = 'application/json';
+
+// Content-addressed files never change.
+const CONTENT_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+/**
+ * @typedef {Object} UploadOptions
+ * @property {String} contentType
+ * @property {String} [cacheControl]
+ * @property {String} [acl] A canned ACL, like `public-read` or `private`
+ * @property {Object} [metadata] Custom metadata to set on the object
+ * @property {String} [md5] MD5 hash of the file (hex)
+ */
+
+/**
+ * @typedef {Object} ManifestEntry
+ * @property {String} key
+ * @property {String} path Path of the local file
+ * @property {Number} size
+ * @property {String} md5
+ * @property {Boolean} skipped Whether an identical object was already stored,
+ *           so the file wasn't uploaded
+ */
+
+/**
+ * Storage backends all have the same interface:
+ *
+ * - `url`: a URL describing where objects are stored.
+ * - `stat(key)`: resolves with the `{size, md5}` of an object, or null if
+ *   there is no such object. `md5` is null if the backend can't tell.
+ * - `upload(key, filePath, UploadOptions)`: resolves when a file is stored.
+ */
+const backends = {
+  s3: options => new (require('./s3'))(options),
+  gs: options => new (require('./google'))(options),
+  file: options => new (require('./local'))(options)
+};
+
+/**
+ * Create a storage backend for a destination URL. Destinations look like
+ * `s3://bucket/optional/prefix/`, `gs://bucket/optional/prefix/`, or
+ * `file:///some/directory` (plain paths are treated like `file:` URLs).
+ * Credentials for the backend come from `options`.
+ * @param {String} destination
+ * @param {Object} [options]
+ * @param {String} [options.key] AWS access key
+ * @param {String} [options.secret] AWS secret key
+ * @param {String} [options.project] Google Cloud project ID
+ * @param {String} [options.keyfile] Google Cloud access key file
+ * @returns {{storage: Object, prefix: String}} The backend and any prefix
+ *          that was part of the destination URL
+ */
+function createStorage (destination, options = {}) {
+  const parsed = url.parse(destination);
+  const type = parsed.protocol ? parsed.protocol.slice(0, -1) : 'file';
+  if (!backends[type] || (type !== 'file' && !parsed.host)) {
+    const error = new Error(`Unknown storage destination: '${destination}'. Use a URL like 's3://bucket/', 'gs://bucket/', or 'file:///path/to/directory'.`);
+    error.code = 'VERSIONISTA:INVALID_STORAGE';
+    throw error;
+  }
+
+  if (type === 'file') {
+    const directory = parsed.protocol ? decodeURIComponent(parsed.pathname) : destination;
+    return {storage: backends.file({directory}), prefix: ''};
+  }
+
+  const prefix = (parsed.pathname || '').replace(/^\/+/, '');
+  return {
+    storage: backends[type](Object.assign({}, options, {bucket: parsed.host})),
+    prefix: prefix && !prefix.endsWith('/') ? `${prefix}/` : prefix
+  };
+}
+
+/**
+ * Upload all the files in a directory (skipping hidden files). Files named
+ * `metadata-*` are uploaded last, so that anything reading them can rely on
+ * the files they list being present.
+ *
+ * Content-addressed files (see `ContentStore`) are never uploaded if an
+ * object is already stored with their key. In `sync` mode, every file is
+ * skipped if an object with the same size and MD5 hash is already stored.
+ *
+ * @param {Object} storage A backend from `createStorage()`
+ * @param {String} basePath
+ * @param {Object} [options]
+ * @param {String} [options.prefix] Prefix to add to every object's key
+ * @param {Number} [options.throughput=10] Maximum simultaneous uploads
+ * @param {Boolean} [options.sync=false]
+ * @param {String} [options.acl='public-read']
+ * @param {Object} [options.metadata] Custom metadata to set on every object
+ * @param {Number} [options.retries=2] Times to retry a failed upload
+ * @param {Number} [options.retryDelay=10000] Milliseconds to wait before the
+ *        first retry. Each later retry waits twice as long as the last.
+ * @param {Function} [options.onObject] Called with each `ManifestEntry` as
+ *        objects are uploaded or skipped.
+ * @param {String[]} [options.files] Upload only these files (e.g. from a
+ *        scrape's manifest) instead of every file in `basePath`. They must
+ *        all be inside `basePath`.
+ * @returns {Promise<ManifestEntry[]>}
+ */
+function uploadDirectory (storage, basePath, options = {}) {
+  const {
+    prefix = '',
+    throughput = 10,
+    sync = false,
+    acl = 'public-read',
+    metadata,
+    retries = 2,
+    retryDelay = 10000,
+    onObject,
+    files
+  } = options;
+  const entries = [];
+
+  if (files) {
+    const outside = files.find(filePath =>
+      path.relative(basePath, filePath).startsWith('..'));
+    if (outside) {
+      return Promise.reject(new Error(`Cannot upload ${outside} because it is not in ${basePath}`));
+    }
+  }
+
+  function uploadFile (file, callback) {
+    const key = `${prefix}${path.relative(basePath, file.path).split(path.sep).join('/')}`;
+    const isContent = !!parseContentPath(key);
+
+    hashFile(file.path, 'md5')
+      .then(md5 => {
+        const entry = {key, path: file.path, size: file.stats.size, md5, skipped: false};
+        const upload = () => storage.upload(key, file.path, {
+          contentType: mime.lookup(file.path) || 'application/octet-stream',
+          cacheControl: isContent ? CONTENT_CACHE_CONTROL : undefined,
+          acl,
+          metadata,
+          md5
+        });
+
+        const existing = (sync || isContent) ? storage.stat(key) : Promise.resolve(null);
+        return existing
+          .then(stored => {
+            // Content-addressed keys are named for their content, so if one
+            // is already stored, it doesn't need to be uploaded again.
+            if (stored && (isContent || (stored.size === entry.size && stored.md5 === md5))) {
+              entry.skipped = true;
+              return;
+            }
+            return upload();
+          })
+          .then(() => entry);
+      })
+      .then(
+        entry => {
+          entries.push(entry);
+          if (onObject) onObject(entry);
+          callback(null, entry);
+        },
+        callback);
+  }
+
+  return new Promise((resolve, reject) => {
+    pump(
+      files ? listedFiles(files) : klaw(basePath),
+      // skip hidden files, directories (we still hit the files they contain)
+      filterStream(file => {
+        return path.basename(file.path)[0] !== '.' && !file.stats.isDirectory();
+      }),
+      // handle metadata-* files last
+      deferStreamItems(file => path.basename(file.path).startsWith('metadata-')),
+      parallel(throughput, retryable(uploadFile, retryDelay, retries)),
+      // parallel-transform needs something to read its output.
+      new stream.Writable({objectMode: true, write (data, encoding, callback) { callback(); }}),
+      error => error ? reject(error) : resolve(entries)
+    );
+  });
+}
+
+/**
+ * Write a manifest of uploaded objects.
+ * @param {String} filePath
+ * @param {Object} storage
+ * @param {ManifestEntry[]} entries
+ */
+function writeUploadManifest (filePath, storage, entries) {
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), {recursive: true});
+  fs.writeFileSync(filePath, JSON.stringify({
+    createdAt: new Date(),
+    destination: storage.url,
+    objects: entries.slice().sort(ascend('key'))
+  }, null, 2));
+}
+
+// A stream of files like klaw's, but for a list of paths.
+function listedFiles (files) {
+  return stream.Readable.from(files.map(filePath => ({
+    path: path.resolve(filePath),
+    stats: fs.statSync(filePath)
+  })));
+}
+
+function retryable (operation, retryDelay, maxRetries) {
+  return function (...args) {
+    const callback = args.pop();
+    let tries = 0;
+
+    const handleResult = (error, ...rest) => {
+      if (error && tries < maxRetries) {
+        const delay = retryDelay * Math.pow(2, tries);
+        tries++;
+        console.error(`Retrying upload in ${delay / 1000} seconds after error: ${error.message}`);
+        setTimeout(() => operation.apply(this, args), delay);
+        return;
+      }
+
+      callback(error, ...rest);
+    };
+
+    args.push(handleResult);
+    operation.apply(this, args);
+  };
+}
+
+function filterStream (predicate) {
+  return stream.Transform({
+    objectMode: true,
+    transform (data, encoding, callback) {
+      try {
+        if (predicate(data)) {
+          this.push(data);
+        }
+        callback();
+      }
+      catch (error) {
+        return callback(error);
+      }
+    }
+  });
+}
+
+function deferStreamItems (predicate) {
+  const deferred = [];
+
+  return stream.Transform({
+    objectMode: true,
+    transform (data, encoding, callback) {
+      try {
+        if (predicate(data)) {
+          deferred.push(data);
+        }
+        else {
+          this.push(data);
+        }
+        callback();
+      }
+      catch (error) {
+        return callback(error);
+      }
+    },
+    flush (callback) {
+      deferred.forEach(data => this.push(data));
+      callback();
+    }
+  });
+}
+
+module.exports = {
+  createStorage,
+  uploadDirectory,
+  writeUploadManifest
+};
@@ -0,0 +1,54 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {hashFile} = require('../tools');
+
+/**
+ * Stores objects as files in a local directory. This is mainly useful for
+ * testing uploads without a cloud storage account. ACLs and metadata are
+ * ignored.
+ */
+class LocalStorage {
+  /**
+   * Creates an instance of LocalStorage.
+   * @param {Object} options
+   * @param {String} options.directory
+   */
+  constructor ({directory}) {
+    this.directory = path.resolve(directory);
+    this.url = `file://${this.directory}/`;
+  }
+
+  /**
+   * Get the size and MD5 hash of an object.
+   * @param {String} key
+   * @returns {Promise<{size: Number, md5: String}>} Resolves with null if
+   *          there is no object at `key`.
+   */
+  stat (key) {
+    const filePath = path.join(this.directory, key);
+    return fs.promises.stat(filePath)
+      .then(stats => hashFile(filePath, 'md5').then(md5 => ({size: stats.size, md5})))
+      .catch(error => {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      });
+  }
+
+  /**
+   * Upload a file.
+   * @param {String} key
+   * @param {String} filePath
+   * @returns {Promise}
+   */
+  upload (key, filePath) {
+    const target = path.join(this.directory, key);
+    return fs.promises.mkdir(path.dirname(target), {recursive: true})
+      .then(() => fs.promises.copyFile(filePath, target));
+  }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,74 @@
+'use strict';
+
+const fs = require('fs');
+const S3 = require('aws-sdk/clients/s3');
+
+/**
+ * Stores objects in an Amazon S3 bucket.
+ */
+class S3Storage {
+  /**
+   * Creates an instance of S3Storage.
+   * @param {Object} options
+   * @param {String} options.bucket
+   * @param {String} [options.key] AWS access key
+   * @param {String} [options.secret] AWS secret key
+   */
+  constructor ({bucket, key, secret}) {
+    this.bucket = bucket;
+    this.url = `s3://${bucket}/`;
+    this._s3 = new S3({
+      accessKeyId: key,
+      secretAccessKey: secret
+    });
+  }
+
+  /**
+   * Get the size and MD5 hash of an object.
+   * @param {String} key
+   * @returns {Promise<{size: Number, md5: String}>} Resolves with null if
+   *          there is no object at `key`. `md5` is null if it is unknown.
+   */
+  stat (key) {
+    return this._s3.headObject({Bucket: this.bucket, Key: key}).promise()
+      .then(result => ({
+        size: result.ContentLength,
+        md5: result.Metadata.md5 || etagMd5(result.ETag)
+      }))
+      .catch(error => {
+        if (error.code === 'NotFound' || error.statusCode === 404) {
+          return null;
+        }
+        throw error;
+      });
+  }
+
+  /**
+   * Upload a file.
+   * @param {String} key
+   * @param {String} filePath
+   * @param {UploadOptions} options
+   * @returns {Promise}
+   */
+  upload (key, filePath, {contentType, cacheControl, acl, metadata, md5}) {
+    return this._s3.upload({
+      Bucket: this.bucket,
+      Key: key,
+      ACL: acl,
+      ContentType: contentType,
+      CacheControl: cacheControl,
+      // Large files are uploaded in parts, which makes the ETag something
+      // other than the MD5 hash, so keep the hash in metadata, too.
+      Metadata: Object.assign({}, metadata, md5 ? {md5} : {}),
+      Body: fs.createReadStream(filePath)
+    }).promise();
+  }
+}
+
+// The ETag of an object uploaded in one part is its MD5 hash.
+function etagMd5 (etag) {
+  const hash = (etag || '').replace(/"/g, '');
+  return /^[0-9a-f]{32}$/.test(hash) ? hash : null;
+}
+
+module.exports = S3Storage;
@@ -1,3 +1,6 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
 /**
  * Create a comparison function composed from multiple simpler comparison. If
  * the first comparison is equal, it uses the second comparison, and so on.
@@ -80,10 +83,28 @@ function getDeep (object, ...properties) {
   return properties.reduce((parent, key) => (parent != null ? parent[key] : null), object);
 }
 
+/**
+ * Calculate the hash of a file's contents.
+ * @param {String} filePath
+ * @param {String} [algorithm='sha256'] Any algorithm `crypto.createHash()`
+ *        supports
+ * @returns {Promise<String>} The hash as hex
+ */
+function hashFile (filePath, algorithm = 'sha256') {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash(algorithm);
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', data => hash.update(data))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
 module.exports = {
   compareMany,
   ascend,
   descend,
   getter,
-  getDeep
+  getDeep,
+  hashFile
 }
@@ -0,0 +1,180 @@
+'use strict';
+
+/**
+ * Transports actually perform HTTP requests on behalf of the client in
+ * `client.js`. A transport is a function with the same signature as the
+ * `request` module: `transport(options, callback)`, where `callback` is called
+ * with `(error, response)`. Responses should look like `request`’s responses,
+ * with `statusCode`, `headers`, `body`, and `request.uri`/`request.href`
+ * indicating the final URL after any redirects. Transports that keep cookies
+ * should also have a `clearCookies()` method that starts a new session.
+ *
+ * Besides the default transport (which uses `request`), this provides
+ * transports that can record every request/response pair to a directory of
+ * fixtures and replay them later, so that whole scrapes can be reproduced
+ * offline.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const request = require('request');
+const url = require('url');
+
+const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_12_3) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/56.0.2924.87 Safari/537.36';
+
+// Headers that hold credentials and should never be written to fixtures.
+const PRIVATE_HEADERS = ['set-cookie', 'cookie', 'authorization'];
+
+/**
+ * Create a transport that makes real HTTP requests with the `request` module.
+ * Each transport has its own cookie jar.
+ * @param {Object} [options]
+ * @param {String} [options.userAgent]
+ * @returns {Function}
+ */
+function createRequestTransport ({userAgent = USER_AGENT} = {}) {
+  const send = request.defaults({headers: {'User-Agent': userAgent}});
+  let jar = request.jar();
+
+  function requestTransport (options, callback) {
+    return send(Object.assign({jar}, options), callback);
+  }
+  requestTransport.clearCookies = () => {
+    jar = request.jar();
+  };
+
+  return requestTransport;
+}
+
+/**
+ * Create a transport that passes requests through to another transport and
+ * saves each request/response pair to a fixture file in `directory`. Cookies
+ * and form data (e.g. login credentials) are not saved.
+ * @param {Function} transport The transport to record
+ * @param {String} directory
+ * @returns {Function}
+ */
+function createRecordingTransport (transport, directory) {
+  fs.mkdirSync(directory, {recursive: true});
+
+  function recordingTransport (options, callback) {
+    transport(options, (error, response) => {
+      if (!error) {
+        try {
+          writeFixture(directory, options, response);
+        }
+        catch (writeError) {
+          return callback(writeError);
+        }
+      }
+      callback(error, response);
+    });
+  }
+  recordingTransport.clearCookies = () => {
+    if (transport.clearCookies) transport.clearCookies();
+  };
+
+  return recordingTransport;
+}
+
+/**
+ * Create a transport that serves responses from fixture files created by a
+ * recording transport instead of making real HTTP requests.
+ * @param {String} directory
+ * @returns {Function}
+ */
+function createReplayTransport (directory) {
+  return function replayTransport (options, callback) {
+    const fixturePath = path.join(directory, fixtureName(options));
+
+    fs.promises.readFile(fixturePath, 'utf8')
+      .then(JSON.parse)
+      .then(
+        fixture => callback(null, responseFromFixture(fixture, options)),
+        error => {
+          const {method, href} = describeRequest(options);
+          const replayError = new Error(
+            `No recorded response for ${method} ${href} in ${directory}`);
+          replayError.code = 'VERSIONISTA:NO_FIXTURE';
+          replayError.cause = error;
+          callback(replayError);
+        });
+  };
+}
+
+function describeRequest (options) {
+  return {
+    method: (options.method || 'GET').toUpperCase(),
+    href: options.url || options.uri
+  };
+}
+
+function fixtureName (options) {
+  const {method, href} = describeRequest(options);
+  const hash = crypto.createHash('sha256')
+    .update(`${method} ${href}`)
+    .digest('hex')
+    .slice(0, 24);
+  return `${method.toLowerCase()}-${hash}.json`;
+}
+
+function writeFixture (directory, options, response) {
+  const headers = Object.assign({}, response.headers);
+  PRIVATE_HEADERS.forEach(name => delete headers[name]);
+
+  let body = response.body;
+  let bodyType = 'string';
+  if (Buffer.isBuffer(body)) {
+    bodyType = 'buffer';
+    body = body.toString('base64');
+  }
+  else if (body != null && typeof body === 'object') {
+    bodyType = 'json';
+  }
+
+  const fixture = {
+    request: describeRequest(options),
+    response: {
+      statusCode: response.statusCode,
+      headers,
+      href: response.request && response.request.href,
+      bodyType,
+      body
+    }
+  };
+
+  fs.writeFileSync(
+    path.join(directory, fixtureName(options)),
+    JSON.stringify(fixture, null, 2));
+}
+
+function responseFromFixture (fixture, options) {
+  const recorded = fixture.response;
+
+  let body = recorded.body;
+  if (recorded.bodyType === 'buffer') {
+    body = Buffer.from(body, 'base64');
+    // Honor the requested encoding like `request` would.
+    if (options.encoding !== null) {
+      body = body.toString(options.encoding || 'utf8');
+    }
+  }
+
+  const href = recorded.href || describeRequest(options).href;
+  return {
+    statusCode: recorded.statusCode,
+    headers: recorded.headers,
+    body,
+    request: {
+      href,
+      uri: url.parse(href)
+    }
+  };
+}
+
+module.exports = {
+  createRequestTransport,
+  createRecordingTransport,
+  createReplayTransport
+};
@@ -4,8 +4,10 @@ const csvParse = require('csv-parse');
 const crypto = require('crypto');
 const jsdom = require('jsdom');
 const mime = require('mime-types');
+const url = require('url');
 const util = require('util');
 const createClient = require('./client');
+const SchemaMonitor = require('./schema-monitor');
 const {xpath, xpathArray, xpathNode} = require('./xpath');
 
 const csvParsePromise = util.promisify(csvParse.parse);
@@ -59,6 +61,8 @@ const csvParsePromise = util.promisify(csvParse.parse);
  * @property {String} content The diff itself
  */
 
+const VERSIONISTA_URL = 'https://versionista.com';
+
 const versionistaSourceAdditionsPattern =
   /\n?<!--\s*Versionista general\s*-->[^]*?<!--\s*End Versionista general\s*-->\n?/i;
 
@@ -71,12 +75,67 @@ class Versionista {
    * @param {Object} options
    * @param {String} options.email E-mail for Versionista account
    * @param {String} options.password Password for Versionista account
+   * @param {Object} [options.client] Options for the HTTP client (see
+   *        `client.js`)
+   * @param {Function} [options.transport] Function that performs the actual
+   *        HTTP requests. It should have the same signature as the `request`
+   *        module. See `transport.js` for transports that record and replay
+   *        fixtures.
+   * @param {String} [options.url='https://versionista.com'] Base URL of the
+   *        Versionista service. Useful for testing against a mock server.
+   * @param {SchemaMonitor} [options.schemaMonitor] If set, record differences
+   *        between API responses and the schemas we expect in this monitor
+   *        and only fail on ones we can't work around, instead of failing on
+   *        any difference.
    */
   constructor (options) {
-    this.client = createClient(options && options.client || {});
+    this.baseUrl = (options.url || VERSIONISTA_URL).replace(/\/$/, '');
+
+    const clientOptions = Object.assign({}, options.client);
+    if (options.transport) {
+      clientOptions.transport = options.transport;
+    }
+    this.client = createClient(clientOptions);
+    this.schemaMonitor = options.schemaMonitor || null;
     this.logIn = this.logIn.bind(this, options.email, options.password);
   }
 
+  /**
+   * Get a summary of the request rates that were used, if the client is
+   * adaptive (see `client.js`).
+   * @returns {ClientStats|null}
+   */
+  getRequestStats () {
+    return this.client.getStats();
+  }
+
+  /**
+   * Check that an object from Versionista's API matches a schema. Without a
+   * schema monitor, this throws on any difference (see `assertSchema()`).
+   * With one, differences are recorded in the monitor instead, and this
+   * returns false if they are fatal (the object should be skipped).
+   * @param {String} name Name of the schema, e.g. `page`
+   * @param {Object} schema
+   * @param {Object} object
+   * @param {Object} options
+   * @param {String[]} options.usedFields Fields of the object we read
+   * @param {String} options.location Where the object came from
+   * @param {String} options.message Message for errors (see `assertSchema()`)
+   * @returns {Boolean}
+   */
+  checkSchema (name, schema, object, {usedFields, location, message}) {
+    if (!this.schemaMonitor) {
+      assertSchema(schema, object, message);
+      return true;
+    }
+
+    const fatal = this.schemaMonitor.check(name, schema, object, {
+      usedFields,
+      location
+    });
+    return fatal.length === 0;
+  }
+
   /**
    * Make an HTTP request to Versionista. This is largely a wrapper around
    * the request module, but returns a promise and can optionally parse the
@@ -100,6 +159,12 @@ class Versionista {
 
     return this.client(options)
       .then(response => {
+        if (this._isLoggedOutResponse(response)) {
+          const error = new Error(`Not logged in to Versionista when requesting '${options.url}'`);
+          error.code = 'VERSIONISTA:LOGGED_OUT';
+          throw error;
+        }
+
         const contentType = response.headers['content-type'] || '';
         const mightBeHtml = contentType.startsWith('text/html') ||
           !!response.body.toString().match(/^[\s\n]*</) ||
@@ -121,6 +186,35 @@ class Versionista {
       });
   }
 
+  /**
+   * Determine whether a response indicates our session is no longer valid,
+   * e.g. because it expired. Versionista redirects to its login page in that
+   * case, though API endpoints might respond with a 401 status instead.
+   * @param {HttpResponse} response
+   * @returns {Boolean}
+   */
+  _isLoggedOutResponse (response) {
+    if (response.statusCode === 401) return true;
+
+    const uri = response.request && response.request.uri;
+    return !!uri
+      && uri.host.includes(url.parse(this.baseUrl).host)
+      && /^\/login\/?$/.test(uri.pathname);
+  }
+
+  /**
+   * Forget the current session so the next request logs in again. Does
+   * nothing if `session` is not the current session (i.e. another request
+   * already started logging in again).
+   * @param {Promise} session The `logIn()` promise for the session
+   */
+  _resetSession (session) {
+    if (this._loggedIn === session) {
+      this._loggedIn = null;
+      this.client.clearCookies();
+    }
+  }
+
   /**
    * Log in to Versionista.
    * @returns {Promise}
@@ -128,7 +222,7 @@ class Versionista {
   logIn (email, password) {
     if (!this._loggedIn) {
       this._loggedIn = this.request({
-        url: 'https://versionista.com/api/login',
+        url: `${this.baseUrl}/api/login`,
         method: 'POST',
         form: {em: email, pw: password},
         followRedirect: false,
@@ -147,7 +241,9 @@ class Versionista {
             throw new Error(`Could not parse JSON response for login: ${response.body}`);
           }
           if (data.success !== 'accepted') {
-            throw new Error(`Login did not succeed: ${response.body}`);
+            const error = new Error(`Login did not succeed: ${response.body}`);
+            error.code = 'VERSIONISTA:AUTH_FAILED';
+            throw error;
           }
         });
     }
@@ -161,7 +257,7 @@ class Versionista {
   getSites () {
     // Parse site data out of the CSV that lists all pages.
     return this.request({
-      url: 'https://versionista.com/download/urls.csv',
+      url: `${this.baseUrl}/download/urls.csv`,
       parseBody: false
     })
       .then(response => parsePagesCsv(response.body))
@@ -176,7 +272,7 @@ class Versionista {
             site = {
               id: urlInfo.siteId,
               name: page.parent_site,
-              url: `https://versionista.com/${urlInfo.siteId}/`,
+              url: `${this.baseUrl}/${urlInfo.siteId}/`,
               lastChange: page.last_new
             };
             sites.set(urlInfo.siteId, site);
@@ -257,28 +353,39 @@ class Versionista {
       lnew: 'number?'
     };
 
-    const apiUrl = `https://versionista.com/api/site/${site.siteId}/`;
+    const apiUrl = `${this.baseUrl}/api/site/${site.siteId}/`;
     return this.request({url: apiUrl, json: true}).then(response => {
       const apiData = response.body;
       if (Array.isArray(apiData)) {
-        throw new Error(`Response from page listing API was not a JSON object: ${apiUrl}`);
+        throw schemaError(`Response from page listing API was not a JSON object: ${apiUrl}`);
       }
       if (!apiData.data || !apiData.pages) {
-        throw new Error(`Response from page listing API did not have 'data' and 'pages' properties: ${apiUrl}`);
+        throw schemaError(`Response from page listing API did not have 'data' and 'pages' properties: ${apiUrl}`);
       }
       if (Array.isArray(apiData.pages)) {
-        throw new Error(`The 'pages' property in the page listing API was not an object: ${apiUrl}`);
+        throw schemaError(`The 'pages' property in the page listing API was not an object: ${apiUrl}`);
+      }
+
+      if (this.schemaMonitor) {
+        const usable = this.checkSchema('site', apiSiteDataSchema, apiData.data, {
+          usedFields: ['base'],
+          location: apiUrl
+        });
+        if (!usable) {
+          throw schemaError(`Site data from page listing API has schema drift we can't work around: ${apiUrl}`);
+        }
       }
 
       const siteBase = apiData.data.base;
       // TODO: once we are reasonably confident in the schema, just assert on
       // the first item for performance.
-      return Object.entries(apiData.pages).map(([id, apiPage]) => {
-        assertSchema(
-          apiPageSchema,
-          apiPage,
-          `Page does not match expected schema. ID: ${id}, URL: ${apiUrl}, $ERROR`);
-
+      const apiPages = Object.entries(apiData.pages)
+        .filter(([id, apiPage]) => this.checkSchema('page', apiPageSchema, apiPage, {
+          usedFields: ['title', 'url', 'lchk', 'vers', 'id', 'added', 'lnew'],
+          location: `${apiUrl} (page ${id})`,
+          message: `Page does not match expected schema. ID: ${id}, URL: ${apiUrl}, $ERROR`
+        }));
+      return apiPages.map(([id, apiPage]) => {
         // Ensure IDs are strings (they may be numbers)
         apiPage.id = apiPage.id.toString(10);
 
@@ -290,7 +397,7 @@ class Versionista {
         return {
           id: apiPage.id,
           url: remoteUrl,
-          versionistaUrl: `https://versionista.com/${site.siteId}/${apiPage.id}/`,
+          versionistaUrl: `${this.baseUrl}/${site.siteId}/${apiPage.id}/`,
           title: apiPage.title,
           lastChange: apiPage.lnew && new Date(apiPage.lnew * 1000),
           lastChecked: apiPage.lchk && new Date(apiPage.lchk * 1000),
@@ -340,13 +447,18 @@ class Versionista {
       // Only present if true
       stored: 'boolean?',
       seen: 'number?',
-      title: 'string?'
+      title: 'string?',
+      render_stamp: 'number?',
+      final_url: 'string?',
+      protected: 'boolean?',
+      beacon: 'number?'
     };
-    const versionsApiUrl = `https://versionista.com/api/versions/${page.siteId}/${page.pageId}`;
+    const baseUrl = this.baseUrl;
+    const versionsApiUrl = `${baseUrl}/api/versions/${page.siteId}/${page.pageId}`;
     return this.request({url: versionsApiUrl, json: true}).then(response => {
       const apiVersions = response.body;
       if (!Array.isArray(apiVersions)) {
-        throw new Error(`Response from version listing API was not a JSON array: ${versionsApiUrl}`)
+        throw schemaError(`Response from version listing API was not a JSON array: ${versionsApiUrl}`)
       }
       // TODO: once we are reasonably confident in the schema, just assert on
       // the first item for performance.
@@ -364,22 +476,22 @@ class Versionista {
         // effectively yet. We didn't have this before, so drop it for now.
         // FIXME: keep this data (we might need a different schema for it)
         .filter(version => !version.deleted)
+        .filter((apiVersion, index) => this.checkSchema('version', apiVersionSchema, apiVersion, {
+          usedFields: ['rc', 'size', 'fst', 'content_type', 'lst', 'id', 'stored', 'title', 'final_url'],
+          location: `${versionsApiUrl} (version ${apiVersion.id})`,
+          message: `Version does not match expected schema. Index: ${index}, URL: ${versionsApiUrl}, $ERROR`
+        }))
         .map((apiVersion, index) => {
-          assertSchema(
-            apiVersionSchema,
-            apiVersion,
-            `Version does not match expected schema. Index: ${index}, URL: ${versionsApiUrl}`);
-
           // This is a string like '200 OK', so we can safely parse the code
           // off the front of it.
           const status = parseInt(apiVersion.rc, 10);
           if (isNaN(status)) {
-            throw new Error(`Could not parse status code from version. String: '${apiVersion.rc}', ${index}, URL: ${versionsApiUrl}`);
+            throw schemaError(`Could not parse status code from version. String: '${apiVersion.rc}', ${index}, URL: ${versionsApiUrl}`);
           }
 
           return Object.assign({}, page, {
             versionId: apiVersion.id,
-            url: `https://versionista.com/${page.siteId}/${page.pageId}/${apiVersion.id}/`,
+            url: `${baseUrl}/${page.siteId}/${page.pageId}/${apiVersion.id}/`,
             date: new Date(apiVersion.fst * 1000),
             hasContent: apiVersion.stored,
             // Because of historical fun, errorCode is a string and only present
@@ -439,7 +551,7 @@ class Versionista {
 
       const dateNode = xpathNode(versionRow, "./td[2]//*[@class='gmt']");
       if (!dateNode) {
-        throw new Error(`Could not find date field for version "${url}"`);
+        throw schemaError(`Could not find date field for version "${url}"`);
       }
       const timestamp = 1000 * parseFloat(dateNode.textContent);
       const date = Number.isNaN(timestamp) ? null : new Date(timestamp);
@@ -447,7 +559,7 @@ class Versionista {
       let errorCode;
       const errorCodeNotices = versionRow.querySelectorAll('.failpage');
       if (errorCodeNotices.length > 1) {
-        throw new Error(`More than one error code for version "${url}"`);
+        throw schemaError(`More than one error code for version "${url}"`);
       }
       else if (errorCodeNotices.length) {
         errorCode = errorCodeNotices[0].title.match(/:\s+(\d{3})\D/)[1];
@@ -462,11 +574,11 @@ class Versionista {
     }
 
     function formatComparisonUrl(version, compareTo = {versionId: 0}) {
-      return `https://versionista.com/${version.siteId}/${version.pageId}/${version.versionId}:${compareTo.versionId}/`;
+      return `${baseUrl}/${version.siteId}/${version.pageId}/${version.versionId}:${compareTo.versionId}/`;
     }
 
     function getVersionCsvUrl(page) {
-      return `https://versionista.com/download/page-${page.siteId}-${page.pageId}.csv`;
+      return `${baseUrl}/download/page-${page.siteId}-${page.pageId}.csv`;
     }
 
     function parseVersionsCsv(csvString) {
@@ -490,7 +602,7 @@ class Versionista {
             'redirected_to'
           ];
           columns.forEach(name => {
-            if (!result.includes(name)) throw new Error(`Page CSV is missing required columns: ${columns.join(', ')}`);
+            if (!result.includes(name)) throw schemaError(`Page CSV is missing required columns: ${columns.join(', ')}`);
           });
 
           return result;
@@ -501,7 +613,7 @@ class Versionista {
     const versionsFromPage = this.request(pageUrl).then(window => {
       const table = window.document.getElementById('pageTableBody');
       if (!table) {
-        throw new Error(`HTML for page ${pageUrl} has no versions table`);
+        throw schemaError(`HTML for page ${pageUrl} has no versions table`);
       }
 
       const versionRows = Array.from(table.querySelectorAll('tr.version'));
@@ -556,7 +668,7 @@ class Versionista {
         return versions.map(version => {
           const csvRow = csv.get(version.date.getTime());
           if (!csvRow) {
-            throw new Error(`No CSV row for version '${version.siteId}/${version.pageId}/${version.versionId}'`);
+            throw schemaError(`No CSV row for version '${version.siteId}/${version.pageId}/${version.versionId}'`);
           }
 
           Object.assign(version, {
@@ -644,7 +756,7 @@ class Versionista {
         const status = response.statusCode;
 
         // Bad comparison URLs usually redirect to normal Versionista pages
-        if (status >= 400 || actualUri.host.includes('versionista.com')) {
+        if (status >= 400 || actualUri.host.includes(url.parse(this.baseUrl).host)) {
           const error = new Error(`Invalid diff URL: '${diffUrl}'`);
           error.code = 'VERSIONISTA:INVALID_URL';
           throw error;
@@ -712,7 +824,26 @@ class Versionista {
 ].forEach(method => {
   const implementation = Versionista.prototype[method];
   Versionista.prototype[method] = function () {
-    return this.logIn().then(() => implementation.apply(this, arguments));
+    const args = arguments;
+    let session;
+    const attempt = () => {
+      session = this.logIn();
+      return session.then(() => implementation.apply(this, args));
+    };
+
+    // If our session expired, log in again and retry once.
+    return attempt().catch(error => {
+      if (error.code !== 'VERSIONISTA:LOGGED_OUT') throw error;
+
+      this._resetSession(session);
+      return attempt().catch(error => {
+        if (error.code === 'VERSIONISTA:LOGGED_OUT') {
+          error.message = `Still not logged in after logging in again: ${error.message}`;
+          error.code = 'VERSIONISTA:AUTH_FAILED';
+        }
+        throw error;
+      });
+    });
   }
 });
 
@@ -768,7 +899,7 @@ function parsePagesCsv(csvString) {
         'last_change'    // URL, e.g. "https://versionista.com/143338/11052600/32961879:0/"
       ];
       columns.forEach(name => {
-        if (!result.includes(name)) throw new Error(`Page CSV is missing required columns: ${columns.join(', ')}`);
+        if (!result.includes(name)) throw schemaError(`Page CSV is missing required columns: ${columns.join(', ')}`);
       });
 
       return result;
@@ -824,48 +955,38 @@ function oneLine (string) {
  *        '$ERROR' will be replaced with detailed information.
  */
 function assertSchema(schema, object, message = null) {
-  const keys = [
-    ...Object.getOwnPropertyNames(schema),
-    ...Object.getOwnPropertySymbols(schema)
-  ];
-
-  keys.forEach(key => {
-    let type = schema[key];
-    let optional = false;
-    if ((typeof type === 'string')) {
-      if (type.endsWith('?')) {
-        optional = true;
-        type = type.slice(0, -1);
-      }
-      type = type.split('|').map(item => item.trim()).filter(item => !!item);
-    }
-
-    if (!(key in object)) {
-      if (optional) return;
-
-      const error = `Object is missing property '${key}'`;
-      throw new Error(message ? message.replace('$ERROR', error) : error);
-    }
+  const problem = SchemaMonitor.findProblems(schema, object)[0];
+  if (problem) {
+    const error = describeSchemaProblem(problem);
+    throw schemaError(message ? message.replace('$ERROR', error) : error);
+  }
+}
 
-    if (type && !isType(object[key], type)) {
-      const error = `The '${key}' property of object was not a ${type}`;
-      throw new Error(message ? message.replace('$ERROR', error) : error);
-    }
-  });
+/**
+ * Describe a problem found by `SchemaMonitor.findProblems()`.
+ * @param {SchemaProblem} problem
+ * @returns {String}
+ */
+function describeSchemaProblem (problem) {
+  if (problem.problem === 'missing') {
+    return `Object is missing property '${problem.field}'`;
+  }
+  const type = problem.expected.replace(/\?$/, '').split('|');
+  return `The '${problem.field}' property of object was not a ${type}`;
 }
 
 /**
- * Check whether a value is of a given type. This can handle more types than
- * 'typeof' can (it differentiates 'array' and 'object', for example).
- * @param {any} value Value to check type of.
- * @param {string} type Name of type to check that value is.
- * @returns {boolean}
+ * Create an error for data from Versionista that isn't in the expected format.
+ * @param {String} message
+ * @returns {Error}
  */
-function isType(value, type) {
-  if (Array.isArray(type)) return type.some(item => isType(value, item));
-  else if (type === 'array') return Array.isArray(value);
-  else if (type === 'object' && Array.isArray(value)) return false;
-  return typeof value === type;
+function schemaError (message) {
+  const error = new Error(message);
+  error.code = 'VERSIONISTA:SCHEMA_MISMATCH';
+  return error;
 }
 
+// Markup Versionista adds to the source of versions it serves (e.g. in diffs).
+Versionista.sourceAdditionsPattern = versionistaSourceAdditionsPattern;
+
 module.exports = Versionista;
@@ -0,0 +1,126 @@
+'use strict';
+
+const fs = require('fs');
+const {textLines} = require('./local-diff');
+const {escapeRegExp} = require('./significance');
+
+/**
+ * @typedef {Object} WatchedTerms
+ * @property {String[]} added Watched terms that the change added (they occur
+ *           more often in the added text than in the removed text)
+ * @property {String[]} removed Watched terms that the change removed
+ */
+
+/**
+ * Read a watchlist file: one term or phrase per line. Blank lines and lines
+ * starting with `#` are ignored.
+ * @param {String} filePath
+ * @returns {String[]}
+ */
+function readWatchlist (filePath) {
+  const terms = parseWatchlist(fs.readFileSync(filePath, 'utf8'));
+  if (!terms.length) {
+    const error = new Error(`The watchlist ${filePath} has no terms in it.`);
+    error.code = 'VERSIONISTA:INVALID_WATCHLIST';
+    throw error;
+  }
+  return terms;
+}
+
+/**
+ * Parse the text of a watchlist file (see `readWatchlist()`). Terms that only
+ * differ by case or whitespace are only included once.
+ * @param {String} text
+ * @returns {String[]}
+ */
+function parseWatchlist (text) {
+  const seen = new Set();
+  return text.split(/\r?\n/)
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(line => {
+      const key = line.toLowerCase();
+      if (!line || line.startsWith('#') || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Get the text that was removed and added in a text diff. This handles diffs
+ * from Versionista (HTML where changes are marked with `<del>` and `<ins>`)
+ * and diffs computed locally (lines starting with `- ` or `+ `).
+ * @param {String|Buffer} diff
+ * @returns {{removed: String[], added: String[]}}
+ */
+function diffChanges (diff) {
+  const content = (diff || '').toString();
+  const changes = {removed: [], added: []};
+
+  if (/<(ins|del)\b/i.test(content)) {
+    const pattern = /<(ins|del)\b[^>]*>([^]*?)<\/\1\s*>/gi;
+    let match;
+    while ((match = pattern.exec(content))) {
+      const lines = match[1].toLowerCase() === 'ins' ? changes.added : changes.removed;
+      lines.push(...textLines(match[2]));
+    }
+  }
+  else {
+    content.split(/\r?\n/).forEach(line => {
+      if (line.startsWith('- ')) changes.removed.push(line.slice(2));
+      else if (line.startsWith('+ ')) changes.added.push(line.slice(2));
+    });
+  }
+
+  return changes;
+}
+
+/**
+ * Find the watched terms that a text diff added or removed. A term only counts
+ * if it occurs a different number of times in the removed and added text, so
+ * a term in a line that changed for some other reason is not reported.
+ * @param {String|Buffer} diff See `diffChanges()`
+ * @param {String[]} terms
+ * @returns {WatchedTerms}
+ */
+function findWatchedTerms (diff, terms) {
+  const {removed, added} = diffChanges(diff);
+  const removedText = removed.join('\n');
+  const addedText = added.join('\n');
+  const result = {added: [], removed: []};
+
+  terms.forEach(term => {
+    const difference = countTerm(addedText, term) - countTerm(removedText, term);
+    if (difference > 0) result.added.push(term);
+    else if (difference < 0) result.removed.push(term);
+  });
+
+  return result;
+}
+
+/**
+ * Determine whether any watched terms were added or removed in a version (or
+ * anything else with a `watchedTerms` field).
+ * @param {{watchedTerms: WatchedTerms}} item
+ * @returns {Boolean}
+ */
+function hasWatchedTerms (item) {
+  const terms = item.watchedTerms;
+  return !!terms && (terms.added.length > 0 || terms.removed.length > 0);
+}
+
+// Count occurrences of a term at the start of a word, ignoring case and
+// treating any whitespace in a phrase as equivalent (so phrases still match
+// when they wrap across lines).
+function countTerm (text, term) {
+  const source = term.split(/\s+/).map(escapeRegExp).join('\\s+');
+  const matches = text.match(new RegExp(`(^|[^\\w])${source}`, 'gi'));
+  return matches ? matches.length : 0;
+}
+
+module.exports = {
+  readWatchlist,
+  parseWatchlist,
+  diffChanges,
+  findWatchedTerms,
+  hasWatchedTerms
+};